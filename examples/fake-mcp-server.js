@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+// Minimal MCP server used to try out `portable-mcp doctor`.
+//   node examples/fake-mcp-server.js              stdio transport
+//   node examples/fake-mcp-server.js --http 3100  streamable HTTP on http://localhost:3100/mcp
+//   node examples/fake-mcp-server.js --fail       exits with an error on startup
+
+import http from 'http';
+import readline from 'readline';
+
+const tools = [
+  { name: 'echo', description: 'Echo the input text', inputSchema: { type: 'object', properties: { text: { type: 'string' } } } },
+  { name: 'add', description: 'Add two numbers', inputSchema: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } } } }
+];
+const resources = [{ uri: 'memory://greeting', name: 'greeting', mimeType: 'text/plain' }];
+const prompts = [{ name: 'summarize', description: 'Summarize a document' }];
+
+function handle(message) {
+  const reply = (result) => ({ jsonrpc: '2.0', id: message.id, result });
+
+  switch (message.method) {
+    case 'initialize':
+      return reply({
+        protocolVersion: message.params.protocolVersion,
+        capabilities: { tools: {}, resources: {}, prompts: {} },
+        serverInfo: { name: 'fake-mcp-server', version: '1.0.0' }
+      });
+    case 'tools/list':
+      return reply({ tools });
+    case 'resources/list':
+      return reply({ resources });
+    case 'prompts/list':
+      return reply({ prompts });
+    case 'ping':
+      return reply({});
+    default:
+      if (message.id === undefined) return null;
+      return { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } };
+  }
+}
+
+const args = process.argv.slice(2);
+
+if (args.includes('--fail')) {
+  console.error('fake-mcp-server: simulated startup failure');
+  process.exit(1);
+}
+
+const httpIndex = args.indexOf('--http');
+if (httpIndex !== -1) {
+  const port = Number(args[httpIndex + 1]) || 3100;
+
+  http.createServer((req, res) => {
+    if (req.method !== 'POST' || req.url !== '/mcp') {
+      res.writeHead(405).end();
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const response = handle(JSON.parse(body));
+      if (!response) {
+        res.writeHead(202).end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': 'fake-session' });
+      res.end(JSON.stringify(response));
+    });
+  }).listen(port, () => console.error(`fake-mcp-server listening on http://localhost:${port}/mcp`));
+} else {
+  readline.createInterface({ input: process.stdin }).on('line', line => {
+    const response = handle(JSON.parse(line));
+    if (response) {
+      process.stdout.write(`${JSON.stringify(response)}\n`);
+    }
+  });
+}
@@ -0,0 +1,108 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { McpError } from './errors.js';
+
+const BACKUP_SUFFIX = '.backup.json';
+const DEFAULT_BACKUP_COUNT = 10;
+
+export function getBackupDir(env = process.env) {
+  return env.PORTABLE_MCP_BACKUP_DIR || path.join(os.homedir(), '.portable-mcp', 'backups');
+}
+
+export function getBackupCount(value, env = process.env) {
+  const count = parseInt(value ?? env.PORTABLE_MCP_BACKUP_COUNT ?? DEFAULT_BACKUP_COUNT, 10);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new McpError('INVALID_ARGUMENT', `Invalid backup count: ${value ?? env.PORTABLE_MCP_BACKUP_COUNT}. Must be a positive integer`);
+  }
+  return count;
+}
+
+function createBackupId(source, type, date) {
+  const stamp = date.toISOString().replace(/[-:.]/g, '');
+  const label = (type || path.basename(source, path.extname(source)))
+    .replace(/[^a-zA-Z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${stamp}-${label || 'config'}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+export async function createBackup(source, { backupDir, type, keep }) {
+  let content;
+  try {
+    content = await fs.readFile(source, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  const createdAt = new Date();
+  const backup = {
+    id: createBackupId(source, type, createdAt),
+    source: path.resolve(source),
+    type: type || null,
+    createdAt: createdAt.toISOString(),
+    content
+  };
+
+  await fs.mkdir(backupDir, { recursive: true, mode: 0o700 });
+  await fs.writeFile(path.join(backupDir, `${backup.id}${BACKUP_SUFFIX}`), JSON.stringify(backup, null, 2), { encoding: 'utf8', mode: 0o600, flag: 'wx' });
+  await pruneBackups(backup.source, { backupDir, keep });
+
+  return backup;
+}
+
+export async function listBackups({ backupDir, source } = {}) {
+  let fileNames;
+  try {
+    fileNames = await fs.readdir(backupDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const backups = [];
+  for (const fileName of fileNames.filter(name => name.endsWith(BACKUP_SUFFIX))) {
+    try {
+      const { content, ...meta } = JSON.parse(await fs.readFile(path.join(backupDir, fileName), 'utf8'));
+      backups.push({ ...meta, size: Buffer.byteLength(content || '', 'utf8') });
+    } catch {
+      // Ignore files that are not readable backups
+    }
+  }
+
+  const resolvedSource = source ? path.resolve(source) : null;
+  return backups
+    .filter(backup => !resolvedSource || backup.source === resolvedSource)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function readBackup(id, { backupDir }) {
+  if (!/^[\w-]+$/.test(id)) {
+    throw new McpError('INVALID_ARGUMENT', `Invalid backup ID: ${id}`);
+  }
+
+  try {
+    return JSON.parse(await fs.readFile(path.join(backupDir, `${id}${BACKUP_SUFFIX}`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new McpError('NOT_FOUND', `Backup not found: ${id}. Run 'portable-mcp backups list' to see available backups`);
+    }
+    throw error;
+  }
+}
+
+export async function pruneBackups(source, { backupDir, keep }) {
+  const backups = await listBackups({ backupDir, source });
+  const expired = backups.slice(keep);
+
+  for (const backup of expired) {
+    await fs.rm(path.join(backupDir, `${backup.id}${BACKUP_SUFFIX}`), { force: true });
+  }
+
+  return expired;
+}
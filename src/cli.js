@@ -2,31 +2,86 @@
 
 import { Command } from 'commander';
 import chalk from 'chalk';
-import { McpManager } from './index.js';
+import { McpManager, McpError, silentReporter, startWatch, createWatchLogger, createWatchReporter } from './index.js';
 import { promptMode } from './prompt.js';
 
 const program = new Command();
 
+const collect = (value, previous) => previous.concat([value]);
+
+const sources = [];
+const addSource = (key) => (value) => {
+  sources.push({ [key]: value });
+  return value;
+};
+
 program
   .name('portable-mcp')
   .description('Manage MCP configurations across different environments')
-  .version('0.0.2');
+  .version('0.0.2')
+  .option('--json', 'Print results and errors as JSON (never prompts)', false)
+  .option('--quiet', 'Only print errors (never prompts)', false);
+
+const createManager = () => {
+  const { json, quiet } = program.opts();
+  return json || quiet ? new McpManager({ reporter: silentReporter, interactive: false }) : new McpManager();
+};
+
+const output = (result, display) => {
+  const { json, quiet } = program.opts();
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else if (!quiet) {
+    display(result);
+  }
+};
+
+const handleError = (error) => McpManager.handleCliError(error, { json: program.opts().json });
+
+const assertInteractive = () => {
+  const { json, quiet } = program.opts();
+  if (json || quiet) {
+    throw new McpError('UNSUPPORTED', 'Interactive mode cannot be used with --json or --quiet; run a command instead');
+  }
+};
+
+const displayPlans = (plans, done) => {
+  if (plans.every(plan => plan.dryRun)) {
+    plans.forEach(plan => McpManager.displayDiff(plan));
+    console.log(chalk.gray('\nDry run - no changes were written.'));
+    return;
+  }
+  console.log(chalk.green(done));
+};
 
 // Replace command
 program
   .command('replace')
   .description('Replace the MCP configuration file')
-  .option('--type <type>', 'Target application type (cursor|claude)')
-  .option('--json-url <url>', 'URL to download the JSON configuration from')
-  .option('--gist <gist>', 'GitHub Gist ID or ID/filename for multi-file gists')
+  .option('--type <type>', `Target application type (${McpManager.getTypeHelp()})`)
+  .option('--json-url <url>', 'Source to read the JSON configuration from (https://, file://, github:owner/repo/path@ref, or - for stdin); repeatable, later sources take precedence', addSource('jsonUrl'))
+  .option('--header <header>', 'HTTP header to send with --json-url requests, as "Name: value" (repeatable)', collect, [])
+  .option('--bearer-token <token>', 'Bearer token to send with --json-url requests')
+  .option('--basic-auth <user:password>', 'Basic auth credentials to send with --json-url requests')
+  .option('--gist <gist>', 'GitHub Gist ID or ID/filename for multi-file gists; repeatable, later sources take precedence', addSource('gist'))
+  .option('--revision <sha>', 'Gist revision to download (default: latest)')
+  .option('--profile <name>', 'Named profile (file) to apply from a multi-file Gist')
   .option('--destination <path>', 'Custom destination path for the configuration file')
+  .option('--workspace <dir>', 'Directory used for ${workspaceFolder} (default: current directory)')
+  .option('--keep-backups <count>', 'Number of backups to keep per configuration file (default: 10)')
+  .option('--dry-run', 'Show the server changes without writing the file', false)
+  .option('--strict', 'Abort without writing when preflight checks find missing commands, paths or placeholder values', false)
+  .option('--only <names>', 'Comma-separated list of servers to take from the source')
+  .option('--exclude <names>', 'Comma-separated list of servers to skip from the source')
+  .option('--secrets-file <path>', 'Secrets file used to resolve ${VAR} placeholders (default: ~/.portable-mcp/secrets.env)')
+  .option('--key-file <path>', 'Key file for encrypted sources (default: PORTABLE_MCP_KEY_FILE)')
   .action(async (options) => {
     try {
-      const manager = new McpManager();
-      await manager.replace(options);
-      console.log(chalk.green('✅ Configuration replaced successfully!'));
+      const manager = createManager();
+      const plan = await manager.replace({ ...options, sources });
+      output(McpManager.serializePlan(plan, options.dryRun), () => displayPlans([{ ...plan, dryRun: options.dryRun }], '✅ Configuration replaced successfully!'));
     } catch (error) {
-      McpManager.handleCliError(error);
+      handleError(error);
     }
   });
 
@@ -34,17 +89,195 @@ program
 program
   .command('merge')
   .description('Merge configuration with existing MCP file')
-  .option('--type <type>', 'Target application type (cursor|claude)')
-  .option('--json-url <url>', 'URL to download the JSON configuration from')
-  .option('--gist <gist>', 'GitHub Gist ID or ID/filename for multi-file gists')
+  .option('--type <type>', `Target application type (${McpManager.getTypeHelp()})`)
+  .option('--json-url <url>', 'Source to read the JSON configuration from (https://, file://, github:owner/repo/path@ref, or - for stdin); repeatable, later sources take precedence', addSource('jsonUrl'))
+  .option('--header <header>', 'HTTP header to send with --json-url requests, as "Name: value" (repeatable)', collect, [])
+  .option('--bearer-token <token>', 'Bearer token to send with --json-url requests')
+  .option('--basic-auth <user:password>', 'Basic auth credentials to send with --json-url requests')
+  .option('--gist <gist>', 'GitHub Gist ID or ID/filename for multi-file gists; repeatable, later sources take precedence', addSource('gist'))
+  .option('--revision <sha>', 'Gist revision to download (default: latest)')
+  .option('--profile <name>', 'Named profile (file) to apply from a multi-file Gist')
   .option('--destination <path>', 'Custom destination path for the configuration file')
+  .option('--workspace <dir>', 'Directory used for ${workspaceFolder} (default: current directory)')
+  .option('--keep-backups <count>', 'Number of backups to keep per configuration file (default: 10)')
+  .option('--dry-run', 'Show the server changes without writing the file', false)
+  .option('--strict', 'Abort without writing when preflight checks find missing commands, paths or placeholder values', false)
+  .option('--only <names>', 'Comma-separated list of servers to take from the source')
+  .option('--exclude <names>', 'Comma-separated list of servers to skip from the source')
+  .option('--on-conflict <strategy>', 'What to do when a server already exists (keep|overwrite|rename|ask)', 'overwrite')
+  .option('--secrets-file <path>', 'Secrets file used to resolve ${VAR} placeholders (default: ~/.portable-mcp/secrets.env)')
+  .option('--key-file <path>', 'Key file for encrypted sources (default: PORTABLE_MCP_KEY_FILE)')
   .action(async (options) => {
     try {
-      const manager = new McpManager();
-      await manager.merge(options);
-      console.log(chalk.green('✅ Configuration merged successfully!'));
+      const manager = createManager();
+      const plan = await manager.merge({ ...options, sources });
+      output(McpManager.serializePlan(plan, options.dryRun), () => displayPlans([{ ...plan, dryRun: options.dryRun }], '✅ Configuration merged successfully!'));
     } catch (error) {
-      McpManager.handleCliError(error);
+      handleError(error);
+    }
+  });
+
+// Explain command
+program
+  .command('explain <server>')
+  .description('Show which source layer each field of a server comes from')
+  .option('--json-url <url>', 'Source layer to read (repeatable, later sources take precedence)', addSource('jsonUrl'))
+  .option('--gist <gist>', 'Gist layer to read, as ID or ID/filename (repeatable, later sources take precedence)', addSource('gist'))
+  .option('--header <header>', 'HTTP header to send with --json-url requests, as "Name: value" (repeatable)', collect, [])
+  .option('--bearer-token <token>', 'Bearer token to send with --json-url requests')
+  .option('--basic-auth <user:password>', 'Basic auth credentials to send with --json-url requests')
+  .option('--key-file <path>', 'Key file for encrypted sources (default: PORTABLE_MCP_KEY_FILE)')
+  .action(async (server, options) => {
+    try {
+      const manager = createManager();
+      const result = await manager.explain(server, { ...options, sources });
+      output(result, McpManager.displayExplain);
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Sync command
+program
+  .command('sync')
+  .description('Copy servers from one client configuration into others')
+  .requiredOption('--from <type>', `Source application type (${McpManager.getTypeHelp()})`)
+  .requiredOption('--to <types>', 'Comma-separated list of target application types')
+  .option('--mirror', 'Also remove servers from the targets that are missing from the source', false)
+  .option('--only <names>', 'Comma-separated list of servers to sync')
+  .option('--exclude <names>', 'Comma-separated list of servers to skip')
+  .option('--on-conflict <strategy>', 'What to do when a server already exists (keep|overwrite|rename|ask)', 'overwrite')
+  .option('--keep-backups <count>', 'Number of backups to keep per configuration file (default: 10)')
+  .option('--dry-run', 'Show the server changes without writing any file', false)
+  .action(async (options) => {
+    try {
+      const manager = createManager();
+      const plans = await manager.sync(options);
+      output(plans.map(plan => McpManager.serializePlan(plan, options.dryRun)), () => displayPlans(
+        plans.map(plan => ({ ...plan, dryRun: options.dryRun })),
+        `✅ Servers synced to ${plans.map(plan => plan.client.name).join(', ')}!`
+      ));
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Convert command
+program
+  .command('convert')
+  .description('Convert MCP servers from one client format to another client or tool format')
+  .option('--from <type>', `Source application type (${McpManager.getTypeHelp()})`)
+  .requiredOption('--to <format>', `Target format (${McpManager.getConvertFormats().join('|')})`)
+  .option('--source <path>', 'Source configuration file (default: the --from client\'s configuration)')
+  .option('--output <path>', 'File to write (default: print to stdout)')
+  .option('--force', 'Overwrite the output file if it exists', false)
+  .option('--only <names>', 'Comma-separated list of servers to convert')
+  .option('--exclude <names>', 'Comma-separated list of servers to skip')
+  .option('--scope <scope>', 'Scope for claude-commands output (local|project|user)')
+  .option('--key-file <path>', 'Key file for encrypted sources (default: PORTABLE_MCP_KEY_FILE)')
+  .action(async (options) => {
+    try {
+      const manager = createManager();
+      const result = await manager.convert(options);
+      if (!options.output && !program.opts().json) {
+        console.log(result.content.replace(/\n$/, ''));
+      } else {
+        output(result, McpManager.displayConvertResult);
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Install command
+program
+  .command('install')
+  .description('Apply the servers listed in portable-mcp.json to the project configuration of each client it targets')
+  .option('--manifest <path>', 'Manifest to read (default: portable-mcp.json in the current directory or a parent)')
+  .option('--type <types>', 'Comma-separated list of clients to install into instead of the ones listed in the manifest')
+  .option('--global', 'Write to the user configuration of each client instead of the project files', false)
+  .option('--mirror', 'Also remove servers that are not in the manifest', false)
+  .option('--on-conflict <strategy>', 'What to do when a server already exists (keep|overwrite|rename|ask)', 'overwrite')
+  .option('--workspace <dir>', 'Directory used for ${workspaceFolder} (default: the manifest directory)')
+  .option('--keep-backups <count>', 'Number of backups to keep per configuration file (default: 10)')
+  .option('--dry-run', 'Show the server changes without writing any file', false)
+  .option('--strict', 'Abort without writing when required environment variables are missing or preflight checks find problems', false)
+  .option('--secrets-file <path>', 'Secrets file used to resolve ${VAR} placeholders (default: ~/.portable-mcp/secrets.env)')
+  .option('--key-file <path>', 'Key file for encrypted sources (default: PORTABLE_MCP_KEY_FILE)')
+  .action(async (options) => {
+    try {
+      const manager = createManager();
+      const result = await manager.install(options);
+      output(
+        { ...result, plans: result.plans.map(plan => McpManager.serializePlan(plan, options.dryRun)) },
+        () => displayPlans(
+          result.plans.map(plan => ({ ...plan, dryRun: options.dryRun })),
+          `✅ Installed ${result.manifest} into ${result.plans.map(plan => plan.client.name).join(', ')}!`
+        )
+      );
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Add command
+program
+  .command('add <server>')
+  .description('Add a server from the catalog to an MCP configuration file')
+  .option('--type <type>', `Target application type (${McpManager.getTypeHelp()})`)
+  .option('--destination <path>', 'Custom destination path for the configuration file')
+  .option('--name <name>', 'Name of the server in the configuration (default: the catalog name)')
+  .option('--set <input>', 'Value for a catalog input, as NAME=value (repeatable)', collect, [])
+  .option('--catalog <file>', 'Additional catalog file to load (repeatable)', collect, [])
+  .option('--on-conflict <strategy>', 'What to do when a server with the same name exists (keep|overwrite|rename|ask)', 'ask')
+  .option('--keep-backups <count>', 'Number of backups to keep per configuration file (default: 10)')
+  .option('--dry-run', 'Show the server changes without writing the file', false)
+  .option('--strict', 'Abort without writing when preflight checks find missing commands, paths or placeholder values', false)
+  .option('--secrets-file <path>', 'Secrets file to read input values from (default: ~/.portable-mcp/secrets.env)')
+  .action(async (server, options) => {
+    try {
+      const manager = createManager();
+      const plan = await manager.add(server, options);
+      output(McpManager.serializePlan(plan, options.dryRun), () => displayPlans([{ ...plan, dryRun: options.dryRun }], '✅ Server added successfully!'));
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Catalog command
+const catalog = program
+  .command('catalog')
+  .description('Browse the catalog of well-known MCP servers');
+
+catalog
+  .command('search [query...]')
+  .description('List catalog servers whose name, description or tags match every word of the query')
+  .option('--catalog <file>', 'Additional catalog file to load (repeatable)', collect, [])
+  .action(async (query, options) => {
+    try {
+      const manager = createManager();
+      const result = await manager.searchCatalog(query.join(' '), options);
+      output(result, McpManager.displayCatalog);
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Remove command
+program
+  .command('remove <servers...>')
+  .description('Remove one or more servers from an MCP configuration file')
+  .option('--type <type>', `Target application type (${McpManager.getTypeHelp()})`)
+  .option('--destination <path>', 'Custom path of the configuration file')
+  .option('--keep-backups <count>', 'Number of backups to keep per configuration file (default: 10)')
+  .option('--dry-run', 'Show the server changes without writing the file', false)
+  .action(async (servers, options) => {
+    try {
+      const manager = createManager();
+      const plan = await manager.remove(servers, options);
+      output(McpManager.serializePlan(plan, options.dryRun), () => displayPlans([{ ...plan, dryRun: options.dryRun }], '✅ Servers removed successfully!'));
+    } catch (error) {
+      handleError(error);
     }
   });
 
@@ -52,14 +285,162 @@ program
 program
   .command('path')
   .description('Get the default configuration path for a type')
-  .option('--type <type>', 'Target application type (cursor|claude)', 'cursor')
+  .option('--type <type>', `Target application type (${McpManager.getTypeHelp()})`, 'cursor')
   .action((options) => {
     try {
-      const manager = new McpManager();
+      const manager = createManager();
       const path = manager.getDefaultPath(options.type);
-      console.log(chalk.blue('📁 Default path:'), path);
+      output({ type: options.type, path }, () => console.log(chalk.blue('📁 Default path:'), path));
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Detect command
+program
+  .command('detect')
+  .description('List MCP clients whose configuration files exist on this machine')
+  .action(async () => {
+    try {
+      const manager = createManager();
+      const results = await manager.detect();
+      output(results, McpManager.displayDetectResult);
     } catch (error) {
-      McpManager.handleCliError(error);
+      handleError(error);
+    }
+  });
+
+// Validate command
+program
+  .command('validate [file]')
+  .description('Validate an MCP configuration file, Gist or URL (exits non-zero when invalid)')
+  .option('--type <type>', `Validate the installed configuration of an application type (${McpManager.getTypeHelp()})`)
+  .option('--json-url <url>', 'Source to read the JSON configuration from (https://, file://, github:owner/repo/path@ref, or - for stdin)')
+  .option('--header <header>', 'HTTP header to send with --json-url requests, as "Name: value" (repeatable)', collect, [])
+  .option('--bearer-token <token>', 'Bearer token to send with --json-url requests')
+  .option('--basic-auth <user:password>', 'Basic auth credentials to send with --json-url requests')
+  .option('--key-file <path>', 'Key file for encrypted sources (default: PORTABLE_MCP_KEY_FILE)')
+  .option('--gist <gist>', 'GitHub Gist ID or ID/filename for multi-file gists')
+  .action(async (file, options) => {
+    try {
+      const manager = createManager();
+      const result = await manager.validate({ ...options, file });
+      output(result, McpManager.displayValidationResult);
+      if (!result.valid) {
+        process.exit(1);
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Doctor command
+program
+  .command('doctor')
+  .description('Start each configured MCP server and check that it completes the MCP handshake (exits non-zero on failure)')
+  .option('--type <type>', `Application type whose configuration to check (${McpManager.getTypeHelp()})`)
+  .option('--destination <path>', 'Custom configuration path to check')
+  .option('--only <names>', 'Comma-separated list of servers to check')
+  .option('--exclude <names>', 'Comma-separated list of servers to skip')
+  .option('--timeout <ms>', 'Time allowed per server, in milliseconds', '10000')
+  .action(async (options) => {
+    try {
+      const manager = createManager();
+      const report = await manager.doctor(options);
+      output(report, McpManager.displayDoctorResult);
+      if (!report.ok) {
+        process.exit(1);
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Gists command
+const gists = program
+  .command('gists')
+  .description('Work with the MCP configurations stored in your GitHub Gists');
+
+gists
+  .command('list')
+  .description('List your Gists that contain MCP configurations')
+  .action(async () => {
+    try {
+      const manager = createManager();
+      const result = await manager.listGists();
+      output(result, McpManager.displayGists);
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Profiles command
+program
+  .command('profiles')
+  .description('List the named profiles stored in a Gist')
+  .requiredOption('--gist <gist>', 'GitHub Gist ID')
+  .option('--revision <sha>', 'Gist revision to inspect (default: latest)')
+  .action(async (options) => {
+    try {
+      const manager = createManager();
+      const result = await manager.profiles(options);
+      output(result, McpManager.displayProfiles);
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// History command
+program
+  .command('history')
+  .description('List the revisions of a Gist with a per-server summary of what changed')
+  .requiredOption('--gist <gist>', 'GitHub Gist ID or ID/filename for multi-file gists')
+  .option('--limit <count>', 'Number of revisions to show', '10')
+  .action(async (options) => {
+    try {
+      const manager = createManager();
+      const result = await manager.history(options);
+      output(result, McpManager.displayHistory);
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Backups command
+const backups = program
+  .command('backups')
+  .description('Manage configuration backups created by replace and merge');
+
+backups
+  .command('list')
+  .description('List available configuration backups')
+  .option('--type <type>', `Only show backups for an application type (${McpManager.getTypeHelp()})`)
+  .option('--destination <path>', 'Only show backups for a custom configuration path')
+  .action(async (options) => {
+    try {
+      const manager = createManager();
+      const result = await manager.listBackups(options);
+      output(result, McpManager.displayBackups);
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Restore command
+program
+  .command('restore')
+  .description('Restore a configuration file from a backup')
+  .option('--type <type>', `Target application type (${McpManager.getTypeHelp()})`)
+  .option('--destination <path>', 'Custom destination path for the configuration file')
+  .option('--backup <id>', 'Backup ID to restore (default: latest backup for the destination)')
+  .option('--keep-backups <count>', 'Number of backups to keep per configuration file (default: 10)')
+  .action(async (options) => {
+    try {
+      const manager = createManager();
+      const { backup, destination } = await manager.restore(options);
+      output({ backup: backup.id, destination }, () => console.log(chalk.green('✅ Configuration restored successfully!')));
+    } catch (error) {
+      handleError(error);
     }
   });
 
@@ -67,17 +448,121 @@ program
 program
   .command('store')
   .description('Upload configuration to GitHub Gist')
-  .option('--type <type>', 'Source application type (cursor|claude)')
+  .option('--type <types>', `Source application type, or a comma-separated list to store several clients in one Gist (${McpManager.getTypeHelp()})`)
   .option('--gist <gist>', 'GitHub Gist ID to update (optional, creates new if not provided)')
+  .option('--profile <name>', 'Store the configuration as a named profile (<name>.json) in the Gist')
   .option('--private', 'Create private gist (default: public)', false)
   .option('--source <path>', 'Custom source path for the configuration file')
+  .option('--portable-paths', 'Replace home directory paths with ${HOME} before uploading', false)
+  .option('--storage <name>', `Where to store the configuration (${McpManager.getStorageHelp()})`, 'gist')
+  .option('--folder <dir>', 'Target directory for folder storage')
+  .option('--repo <url>', 'Repository URL for git storage')
+  .option('--branch <name>', 'Branch to commit to for git storage (default: main)')
+  .option('--path <file>', 'File path inside the folder or repository (default: source file name)')
+  .option('--url <url>', 'Endpoint for http storage')
+  .option('--method <method>', 'HTTP method for http storage (PUT|POST)', 'PUT')
+  .option('--header <header>', 'HTTP header for http storage, as "Name: value" (repeatable)', collect, [])
+  .option('--bearer-token <token>', 'Bearer token for http storage')
+  .option('--basic-auth <user:password>', 'Basic auth credentials for http storage')
+  .option('--keep-secrets', 'Upload secret-looking env values as-is instead of ${VAR} placeholders (private gists only)', false)
+  .option('--encrypt', 'Encrypt the uploaded content with a passphrase or --key-file (keeps secret values, safe for public Gists)', false)
+  .option('--key-file <path>', 'Key file used to encrypt the upload with --encrypt (default: PORTABLE_MCP_KEY_FILE, otherwise a passphrase)')
+  .option('--secrets-file <path>', 'Secrets file that extracted values are saved to (default: ~/.portable-mcp/secrets.env)')
   .action(async (options) => {
     try {
-      const manager = new McpManager();
+      const manager = createManager();
       const result = await manager.store(options);
-      McpManager.displayStoreResult(result);
+      output(result, McpManager.displayStoreResult);
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Status command
+program
+  .command('status')
+  .description('Show whether linked configurations changed locally or in their Gist since the last sync')
+  .option('--type <type>', `Application type (${McpManager.getTypeHelp()})`)
+  .option('--destination <path>', 'Custom configuration path')
+  .action(async (options) => {
+    try {
+      const manager = createManager();
+      const statuses = await manager.status(options);
+      output(statuses, McpManager.displayLinkStatus);
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Push command
+program
+  .command('push')
+  .description('Upload linked configurations to the Gist they were last synced with')
+  .option('--type <type>', `Application type (${McpManager.getTypeHelp()})`)
+  .option('--destination <path>', 'Custom configuration path')
+  .option('--force', 'Overwrite the Gist even if it changed since the last sync', false)
+  .option('--secrets-file <path>', 'Secrets file that extracted values are saved to (default: ~/.portable-mcp/secrets.env)')
+  .option('--key-file <path>', 'Key file used to encrypt the upload when the Gist file is encrypted (default: PORTABLE_MCP_KEY_FILE, otherwise a passphrase)')
+  .action(async (options) => {
+    try {
+      const manager = createManager();
+      const results = await manager.push(options);
+      output(results, McpManager.displayLinkStatus);
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Pull command
+program
+  .command('pull')
+  .description('Download linked configurations from the Gist they were last synced with')
+  .option('--type <type>', `Application type (${McpManager.getTypeHelp()})`)
+  .option('--destination <path>', 'Custom configuration path')
+  .option('--force', 'Overwrite local changes made since the last sync', false)
+  .option('--keep-backups <count>', 'Number of backups to keep per configuration file (default: 10)')
+  .option('--secrets-file <path>', 'Secrets file used to resolve ${VAR} placeholders (default: ~/.portable-mcp/secrets.env)')
+  .option('--key-file <path>', 'Key file for encrypted sources (default: PORTABLE_MCP_KEY_FILE)')
+  .action(async (options) => {
+    try {
+      const manager = createManager();
+      const results = await manager.pull(options);
+      output(results, McpManager.displayLinkStatus);
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Watch command
+program
+  .command('watch')
+  .description('Keep client configurations in sync with a Gist, applying remote changes as they happen')
+  .requiredOption('--gist <id>', 'GitHub Gist ID to follow (use id/filename to pin a file)')
+  .requiredOption('--type <types>', `Comma-separated application types (${McpManager.getTypeHelp()})`)
+  .option('--profile <name>', 'Gist file (profile) to follow for every type')
+  .option('--interval <duration>', 'How often to poll the Gist, e.g. 30s, 5m or 1h', '5m')
+  .option('--push', 'Upload local edits back to the Gist', false)
+  .option('--mirror', 'Remove local servers that are no longer in the Gist', false)
+  .option('--on-conflict <strategy>', 'How to resolve servers that exist locally and in the Gist: keep, overwrite, rename', 'overwrite')
+  .option('--keep-backups <count>', 'Number of backups to keep per configuration file (default: 10)')
+  .option('--secrets-file <path>', 'Secrets file used to resolve and save ${VAR} placeholders (default: ~/.portable-mcp/secrets.env)')
+  .option('--key-file <path>', 'Key file for encrypted Gist files (default: PORTABLE_MCP_KEY_FILE)')
+  .action(async (options) => {
+    try {
+      if (options.onConflict === 'ask') {
+        throw new McpError('INVALID_ARGUMENT', 'watch runs unattended; use --on-conflict keep, overwrite or rename');
+      }
+
+      const { json, quiet } = program.opts();
+      const log = createWatchLogger({ json, quiet });
+      const manager = new McpManager({ reporter: createWatchReporter(log), interactive: false });
+      const watcher = startWatch(manager, options, log);
+
+      const stop = (signal) => watcher.stop(signal);
+      process.once('SIGINT', stop);
+      process.once('SIGTERM', stop);
     } catch (error) {
-      McpManager.handleCliError(error);
+      handleError(error);
     }
   });
 
@@ -87,21 +572,22 @@ program
   .description('Interactive mode - asks questions to guide you through the process')
   .action(async () => {
     try {
+      assertInteractive();
       await promptMode();
     } catch (error) {
-      McpManager.handleCliError(error);
+      handleError(error);
     }
   });
 
 // Default action when no command is provided
 program.action(async () => {
-  console.log(chalk.yellow('🤖 Welcome to Portable MCP Manager!'));
-  console.log(chalk.gray('Starting interactive mode...\n'));
   try {
+    assertInteractive();
+    console.log(chalk.yellow('🤖 Welcome to Portable MCP Manager!'));
+    console.log(chalk.gray('Starting interactive mode...\n'));
     await promptMode();
   } catch (error) {
-    console.error(chalk.red('❌ Error:'), error.message);
-    process.exit(1);
+    handleError(error);
   }
 });
 
@@ -0,0 +1,247 @@
+import path from 'path';
+import { McpError } from './errors.js';
+
+const SERVER_ROOT_KEYS = ['mcpServers', 'servers', 'context_servers'];
+
+const clients = new Map();
+
+function stdioOrRemote(entry, { stdio, remote }) {
+  return entry && typeof entry.url === 'string' ? remote(entry) : stdio(entry);
+}
+
+export function getRemoteType(entry) {
+  if (entry.type && entry.type !== 'stdio') {
+    return entry.type;
+  }
+  return /\/sse\/?(\?|$)/.test(entry.url) ? 'sse' : 'http';
+}
+
+function withType(entry) {
+  return stdioOrRemote(entry, {
+    stdio: (e) => ({ type: 'stdio', ...e }),
+    remote: (e) => ({ ...e, type: getRemoteType(e) })
+  });
+}
+
+export function normalizeEntry(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return entry;
+  }
+
+  const result = { ...entry };
+
+  if (result.command && typeof result.command === 'object' && !Array.isArray(result.command)) {
+    const { path: commandPath, args, env } = result.command;
+    result.command = commandPath;
+    if (args !== undefined) result.args = args;
+    if (env !== undefined) result.env = env;
+  }
+
+  if (typeof result.serverUrl === 'string' && result.url === undefined) {
+    result.url = result.serverUrl;
+    delete result.serverUrl;
+  }
+
+  if (result.type === 'stdio') delete result.type;
+  if (result.source === 'custom') delete result.source;
+  if (result.settings && Object.keys(result.settings).length === 0) delete result.settings;
+
+  return result;
+}
+
+export function registerClient(client) {
+  if (!client || !client.id) {
+    throw new McpError('INVALID_ARGUMENT', 'Client definition requires an id');
+  }
+
+  clients.set(client.id, {
+    rootKey: 'mcpServers',
+    sharedFile: false,
+    nativeVariables: [],
+    projectPath: null,
+    toEntry: (entry) => ({ ...entry }),
+    ...client
+  });
+}
+
+export function getClient(type) {
+  const client = type ? clients.get(type.toLowerCase()) : undefined;
+  if (!client) {
+    throw new McpError('UNSUPPORTED', `Unsupported type: ${type}. Supported types: ${getClientIds().join(', ')}`);
+  }
+  return client;
+}
+
+export function getClientIds() {
+  return [...clients.keys()];
+}
+
+export function listClients() {
+  return [...clients.values()];
+}
+
+export function genericClient(rootKey = 'mcpServers') {
+  return {
+    id: null,
+    name: 'Custom',
+    rootKey,
+    sharedFile: false,
+    nativeVariables: [],
+    toEntry: (entry) => ({ ...entry })
+  };
+}
+
+export function resolvePlatformDirs({ platform, home, env = process.env }) {
+  switch (platform) {
+    case 'win32':
+      return {
+        home,
+        appData: env.APPDATA || path.join(home, 'AppData', 'Roaming'),
+        configHome: env.APPDATA || path.join(home, 'AppData', 'Roaming')
+      };
+
+    case 'darwin':
+      return {
+        home,
+        appData: path.join(home, 'Library', 'Application Support'),
+        configHome: path.join(home, '.config')
+      };
+
+    default:
+      return {
+        home,
+        appData: env.XDG_CONFIG_HOME || path.join(home, '.config'),
+        configHome: env.XDG_CONFIG_HOME || path.join(home, '.config')
+      };
+  }
+}
+
+export function resolveClientPath(client, { platform, home, env }) {
+  const resolver = client.paths[platform] || client.paths.default;
+  if (!resolver) {
+    throw new McpError('UNSUPPORTED', `${client.name} has no known configuration path on ${platform}`);
+  }
+  return resolver(resolvePlatformDirs({ platform, home, env }));
+}
+
+export function extractServers(document) {
+  if (document && typeof document === 'object' && !Array.isArray(document)) {
+    for (const rootKey of SERVER_ROOT_KEYS) {
+      const section = document[rootKey];
+      if (section && typeof section === 'object' && !Array.isArray(section)) {
+        const servers = {};
+        for (const [name, entry] of Object.entries(section)) {
+          servers[name] = normalizeEntry(entry);
+        }
+        return { rootKey, servers };
+      }
+    }
+  }
+
+  return { rootKey: null, servers: {} };
+}
+
+export function withoutServers(document) {
+  const rest = { ...(document || {}) };
+  for (const rootKey of SERVER_ROOT_KEYS) {
+    delete rest[rootKey];
+  }
+  return rest;
+}
+
+export function writeServers(client, document, servers) {
+  const entries = {};
+  for (const [name, entry] of Object.entries(servers)) {
+    entries[name] = client.toEntry(entry);
+  }
+  return { ...withoutServers(document), [client.rootKey]: entries };
+}
+
+const vsCodeUserDir = ({ appData }) => path.join(appData, 'Code', 'User');
+
+registerClient({
+  id: 'cursor',
+  name: 'Cursor',
+  paths: {
+    darwin: ({ appData }) => path.join(appData, 'Cursor', 'User', 'mcp.json'),
+    default: ({ home }) => path.join(home, '.cursor', 'mcp.json')
+  },
+  projectPath: (root) => path.join(root, '.cursor', 'mcp.json'),
+  nativeVariables: ['workspaceFolder', 'env']
+});
+
+registerClient({
+  id: 'claude',
+  name: 'Claude Desktop',
+  paths: {
+    default: ({ appData }) => path.join(appData, 'Claude', 'claude_desktop_config.json')
+  }
+});
+
+registerClient({
+  id: 'claude-code',
+  name: 'Claude Code',
+  sharedFile: true,
+  paths: {
+    default: ({ home }) => path.join(home, '.claude.json')
+  },
+  projectPath: (root) => path.join(root, '.mcp.json'),
+  nativeVariables: ['var'],
+  toEntry: withType
+});
+
+registerClient({
+  id: 'vscode',
+  name: 'VS Code',
+  rootKey: 'servers',
+  paths: {
+    default: (dirs) => path.join(vsCodeUserDir(dirs), 'mcp.json')
+  },
+  projectPath: (root) => path.join(root, '.vscode', 'mcp.json'),
+  nativeVariables: ['workspaceFolder', 'env'],
+  toEntry: withType
+});
+
+registerClient({
+  id: 'windsurf',
+  name: 'Windsurf',
+  paths: {
+    default: ({ home }) => path.join(home, '.codeium', 'windsurf', 'mcp_config.json')
+  },
+  toEntry: (entry) => stdioOrRemote(entry, {
+    stdio: (e) => ({ ...e }),
+    remote: ({ url, type, ...rest }) => ({ ...rest, serverUrl: url })
+  })
+});
+
+registerClient({
+  id: 'zed',
+  name: 'Zed',
+  rootKey: 'context_servers',
+  sharedFile: true,
+  paths: {
+    win32: ({ appData }) => path.join(appData, 'Zed', 'settings.json'),
+    default: ({ configHome }) => path.join(configHome, 'zed', 'settings.json')
+  },
+  toEntry: (entry) => stdioOrRemote(entry, {
+    stdio: (e) => ({ source: 'custom', ...e }),
+    remote: (e) => ({ ...e })
+  })
+});
+
+registerClient({
+  id: 'continue',
+  name: 'Continue',
+  paths: {
+    default: ({ home }) => path.join(home, '.continue', 'mcpServers', 'mcp.json')
+  },
+  projectPath: (root) => path.join(root, '.continue', 'mcpServers', 'mcp.json')
+});
+
+registerClient({
+  id: 'cline',
+  name: 'Cline',
+  paths: {
+    default: (dirs) => path.join(vsCodeUserDir(dirs), 'globalStorage', 'saoudrizwan.claude-dev', 'settings', 'cline_mcp_settings.json')
+  }
+});
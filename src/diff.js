@@ -0,0 +1,71 @@
+export function isEqual(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+function unionKeys(a, b) {
+  return [...new Set([...Object.keys(a || {}), ...Object.keys(b || {})])];
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export function diffEntry(before, after) {
+  if (!isPlainObject(before) || !isPlainObject(after)) {
+    return isEqual(before, after) ? [] : [{ field: '', before, after }];
+  }
+
+  const fields = [];
+
+  for (const key of unionKeys(before, after)) {
+    if (key === 'env' && isPlainObject(before.env) && isPlainObject(after.env)) {
+      for (const envKey of unionKeys(before.env, after.env)) {
+        if (!isEqual(before.env[envKey], after.env[envKey])) {
+          fields.push({ field: `env.${envKey}`, before: before.env[envKey], after: after.env[envKey] });
+        }
+      }
+    } else if (!isEqual(before[key], after[key])) {
+      fields.push({ field: key, before: before[key], after: after[key] });
+    }
+  }
+
+  return fields;
+}
+
+export function diffServers(before = {}, after = {}) {
+  const diff = { added: [], removed: [], changed: [], unchanged: [] };
+
+  for (const [name, entry] of Object.entries(after)) {
+    if (!Object.prototype.hasOwnProperty.call(before, name)) {
+      diff.added.push({ name, entry });
+      continue;
+    }
+
+    const fields = diffEntry(before[name], entry);
+    if (fields.length > 0) {
+      diff.changed.push({ name, fields });
+    } else {
+      diff.unchanged.push(name);
+    }
+  }
+
+  for (const [name, entry] of Object.entries(before)) {
+    if (!Object.prototype.hasOwnProperty.call(after, name)) {
+      diff.removed.push({ name, entry });
+    }
+  }
+
+  return diff;
+}
+
+export function hasChanges(diff) {
+  return diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0;
+}
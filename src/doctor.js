@@ -0,0 +1,319 @@
+import { spawn } from 'child_process';
+import readline from 'readline';
+import fetch from 'node-fetch';
+
+export const PROTOCOL_VERSION = '2025-03-26';
+
+const CLIENT_INFO = { name: 'portable-mcp', version: '0.0.4' };
+const MAX_PAGES = 20;
+
+function createRpcClient(send) {
+  let nextId = 1;
+  const pending = new Map();
+
+  return {
+    request(method, params = {}) {
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        Promise.resolve(send({ jsonrpc: '2.0', id, method, params })).catch(error => {
+          pending.delete(id);
+          reject(error);
+        });
+      });
+    },
+
+    notify(method, params = {}) {
+      return send({ jsonrpc: '2.0', method, params });
+    },
+
+    handle(message) {
+      if (!message || typeof message !== 'object') return;
+
+      if (message.method && message.id !== undefined) {
+        const reply = message.method === 'ping'
+          ? { jsonrpc: '2.0', id: message.id, result: {} }
+          : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not supported: ${message.method}` } };
+        Promise.resolve(send(reply)).catch(() => {});
+        return;
+      }
+
+      const request = pending.get(message.id);
+      if (!request) return;
+
+      pending.delete(message.id);
+      if (message.error) {
+        request.reject(new Error(`${message.error.message} (code ${message.error.code})`));
+      } else {
+        request.resolve(message.result || {});
+      }
+    },
+
+    failAll(error) {
+      for (const request of pending.values()) {
+        request.reject(error);
+      }
+      pending.clear();
+    }
+  };
+}
+
+function connectStdio(entry) {
+  const child = spawn(entry.command, entry.args || [], {
+    env: { ...process.env, ...entry.env },
+    stdio: ['pipe', 'pipe', 'pipe'],
+    shell: process.platform === 'win32'
+  });
+
+  let stderr = '';
+  const rpc = createRpcClient(message => new Promise((resolve, reject) => {
+    child.stdin.write(`${JSON.stringify(message)}\n`, error => (error ? reject(error) : resolve()));
+  }));
+
+  readline.createInterface({ input: child.stdout }).on('line', line => {
+    try {
+      rpc.handle(JSON.parse(line));
+    } catch {
+      // Servers may log non-JSON lines to stdout
+    }
+  });
+
+  child.stderr.on('data', chunk => {
+    stderr = (stderr + chunk.toString()).slice(-2000);
+  });
+  child.stdin.on('error', () => {});
+  child.on('error', error => rpc.failAll(new Error(`Cannot start ${entry.command}: ${error.message}`)));
+  child.on('exit', code => {
+    const lastLine = stderr.trim().split('\n').pop();
+    rpc.failAll(new Error(`Server exited with code ${code}${lastLine ? `: ${lastLine}` : ''}`));
+  });
+
+  return {
+    rpc,
+    close: () => {
+      child.removeAllListeners('exit');
+      child.kill();
+    }
+  };
+}
+
+async function readEventStream(body, onEvent) {
+  let buffer = '';
+  let event = { event: 'message', data: '' };
+
+  for await (const chunk of body) {
+    buffer += chunk.toString();
+
+    let index;
+    while ((index = buffer.search(/\r?\n/)) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + (buffer[index] === '\r' ? 2 : 1));
+
+      if (line === '') {
+        if (event.data && onEvent(event)) {
+          body.destroy();
+          return;
+        }
+        event = { event: 'message', data: '' };
+        continue;
+      }
+
+      const separator = line.indexOf(':');
+      if (separator === 0) continue;
+
+      const field = separator === -1 ? line : line.slice(0, separator);
+      let value = separator === -1 ? '' : line.slice(separator + 1);
+      if (value.startsWith(' ')) value = value.slice(1);
+
+      if (field === 'event') {
+        event.event = value;
+      } else if (field === 'data') {
+        event.data = event.data ? `${event.data}\n${value}` : value;
+      }
+    }
+  }
+}
+
+function httpError(response) {
+  const error = new Error(`HTTP ${response.status} ${response.statusText}`);
+  error.status = response.status;
+  return error;
+}
+
+function connectStreamableHttp(entry) {
+  const controller = new AbortController();
+  let sessionId = null;
+
+  const rpc = createRpcClient(async (message) => {
+    const response = await fetch(entry.url, {
+      method: 'POST',
+      signal: controller.signal,
+      headers: {
+        ...entry.headers,
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {})
+      },
+      body: JSON.stringify(message)
+    });
+
+    sessionId = response.headers.get('mcp-session-id') || sessionId;
+    if (!response.ok) {
+      throw httpError(response);
+    }
+    if (message.id === undefined || message.method === undefined || response.status === 202) {
+      return;
+    }
+
+    if ((response.headers.get('content-type') || '').includes('text/event-stream')) {
+      await readEventStream(response.body, event => {
+        const reply = JSON.parse(event.data);
+        rpc.handle(reply);
+        return reply.id === message.id;
+      });
+    } else {
+      const text = await response.text();
+      if (text.trim()) {
+        [].concat(JSON.parse(text)).forEach(reply => rpc.handle(reply));
+      }
+    }
+  });
+
+  return { rpc, close: () => controller.abort() };
+}
+
+function connectSse(entry) {
+  const controller = new AbortController();
+  let endpoint;
+
+  const ready = (async () => {
+    const response = await fetch(entry.url, {
+      signal: controller.signal,
+      headers: { ...entry.headers, Accept: 'text/event-stream' }
+    });
+    if (!response.ok) {
+      throw httpError(response);
+    }
+
+    await new Promise((resolve, reject) => {
+      const fail = (error) => {
+        reject(error);
+        rpc.failAll(error);
+      };
+
+      readEventStream(response.body, event => {
+        if (event.event === 'endpoint') {
+          endpoint = new URL(event.data, entry.url).href;
+          resolve();
+        } else {
+          rpc.handle(JSON.parse(event.data));
+        }
+        return false;
+      })
+        .then(() => fail(new Error('SSE stream closed by the server')))
+        .catch(error => {
+          if (error.name !== 'AbortError') fail(error);
+        });
+    });
+  })();
+
+  const rpc = createRpcClient(async (message) => {
+    await ready;
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      signal: controller.signal,
+      headers: { ...entry.headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(message)
+    });
+    if (!response.ok) {
+      throw httpError(response);
+    }
+  });
+
+  ready.catch(() => {});
+  return { rpc, close: () => controller.abort() };
+}
+
+async function listAll(rpc, method, key) {
+  const items = [];
+  let cursor;
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const result = await rpc.request(method, cursor ? { cursor } : {});
+    items.push(...(result[key] || []));
+    cursor = result.nextCursor;
+    if (!cursor) break;
+  }
+
+  return items;
+}
+
+async function handshake(rpc) {
+  const init = await rpc.request('initialize', {
+    protocolVersion: PROTOCOL_VERSION,
+    capabilities: {},
+    clientInfo: CLIENT_INFO
+  });
+  await rpc.notify('notifications/initialized');
+
+  const capabilities = init.capabilities || {};
+  return {
+    protocolVersion: init.protocolVersion || null,
+    serverInfo: init.serverInfo || null,
+    tools: capabilities.tools ? (await listAll(rpc, 'tools/list', 'tools')).map(tool => tool.name) : [],
+    resources: capabilities.resources ? (await listAll(rpc, 'resources/list', 'resources')).map(resource => resource.uri || resource.name) : [],
+    prompts: capabilities.prompts ? (await listAll(rpc, 'prompts/list', 'prompts')).map(prompt => prompt.name) : []
+  };
+}
+
+export function getTransport(entry) {
+  if (entry.url === undefined) {
+    return 'stdio';
+  }
+  return entry.type === 'sse' ? 'sse' : 'http';
+}
+
+const CONNECTORS = {
+  stdio: connectStdio,
+  http: connectStreamableHttp,
+  sse: connectSse
+};
+
+async function probeWith(transport, entry, timeout) {
+  const connection = CONNECTORS[transport](entry);
+  let timer;
+
+  try {
+    return await Promise.race([
+      handshake(connection.rpc),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeout}ms`)), timeout);
+      })
+    ]);
+  } finally {
+    clearTimeout(timer);
+    connection.close();
+  }
+}
+
+export async function probeServer(entry, { timeout = 10000 } = {}) {
+  let transport = getTransport(entry);
+  const startedAt = Date.now();
+
+  try {
+    let details;
+    try {
+      details = await probeWith(transport, entry, timeout);
+    } catch (error) {
+      if (transport !== 'http' || entry.type !== undefined || ![400, 404, 405].includes(error.status)) {
+        throw error;
+      }
+      transport = 'sse';
+      details = await probeWith(transport, entry, Math.max(timeout - (Date.now() - startedAt), 1));
+    }
+
+    return { transport, status: 'pass', durationMs: Date.now() - startedAt, ...details, error: null };
+  } catch (error) {
+    return { transport, status: 'fail', durationMs: Date.now() - startedAt, error: error.message };
+  }
+}
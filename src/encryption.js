@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { promisify } from 'util';
+import { McpError } from './errors.js';
+
+export const ENVELOPE_FORMAT = 'portable-mcp-encrypted';
+export const ENVELOPE_VERSION = 1;
+
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const MIN_KEY_FILE_LENGTH = 16;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+const scrypt = promisify(crypto.scrypt);
+
+export function isEncryptedEnvelope(document) {
+  return Boolean(document) && typeof document === 'object' && document.format === ENVELOPE_FORMAT;
+}
+
+export function getSecretKind(envelope) {
+  return envelope.kdf && envelope.kdf.name === 'scrypt' ? 'passphrase' : 'key';
+}
+
+export function generateKey() {
+  return crypto.randomBytes(KEY_LENGTH).toString('base64');
+}
+
+export async function readKeyFile(filePath) {
+  let content;
+  try {
+    content = (await fs.readFile(filePath, 'utf8')).trim();
+  } catch (error) {
+    throw new McpError(error.code === 'ENOENT' ? 'NOT_FOUND' : 'IO_ERROR', `Cannot read key file: ${filePath}. ${error.message}`);
+  }
+
+  if (content.length < MIN_KEY_FILE_LENGTH) {
+    throw new McpError('INVALID_ARGUMENT', `Key file ${filePath} is too short; use at least ${MIN_KEY_FILE_LENGTH} characters of random data`);
+  }
+  return content;
+}
+
+async function deriveKey(secret, kdf) {
+  const salt = Buffer.from(kdf.salt, 'base64');
+
+  switch (kdf.name) {
+    case 'scrypt':
+      if (!(kdf.N <= 2 ** 20 && kdf.r <= 32 && kdf.p <= 16)) {
+        throw new McpError('UNSUPPORTED', 'Encrypted content asks for scrypt parameters above the supported limits');
+      }
+      return await scrypt(secret, salt, KEY_LENGTH, { N: kdf.N, r: kdf.r, p: kdf.p, maxmem: 256 * kdf.N * kdf.r * kdf.p });
+    case 'hkdf-sha256':
+      return Buffer.from(crypto.hkdfSync('sha256', secret, salt, ENVELOPE_FORMAT, KEY_LENGTH));
+    default:
+      throw new McpError('UNSUPPORTED', `Unsupported key derivation in encrypted content: ${kdf.name}`);
+  }
+}
+
+function getAdditionalData(envelope) {
+  const { format, version, cipher, kdf } = envelope;
+  return Buffer.from(JSON.stringify({ format, version, cipher, kdf }));
+}
+
+export async function encryptContent(content, { passphrase, key }) {
+  const salt = crypto.randomBytes(16).toString('base64');
+  const envelope = {
+    format: ENVELOPE_FORMAT,
+    version: ENVELOPE_VERSION,
+    cipher: CIPHER,
+    kdf: key ? { name: 'hkdf-sha256', salt } : { name: 'scrypt', salt, ...SCRYPT_PARAMS }
+  };
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, await deriveKey(key || passphrase, envelope.kdf), iv);
+  cipher.setAAD(getAdditionalData(envelope));
+  const data = Buffer.concat([cipher.update(content, 'utf8'), cipher.final()]);
+
+  return JSON.stringify({
+    ...envelope,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  }, null, 2);
+}
+
+export async function decryptEnvelope(envelope, { passphrase, key }, label = 'content') {
+  if (envelope.version !== ENVELOPE_VERSION) {
+    throw new McpError('UNSUPPORTED', `${label} uses encrypted envelope version ${envelope.version}; this version of portable-mcp reads version ${ENVELOPE_VERSION}`);
+  }
+  if (envelope.cipher !== CIPHER) {
+    throw new McpError('UNSUPPORTED', `${label} uses an unsupported cipher: ${envelope.cipher}`);
+  }
+
+  const secret = getSecretKind(envelope) === 'passphrase' ? passphrase : key;
+  const derivedKey = await deriveKey(secret, envelope.kdf);
+
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, derivedKey, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(getAdditionalData(envelope));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+  } catch {
+    throw new McpError('DECRYPTION_FAILED', `Cannot decrypt ${label}: wrong ${getSecretKind(envelope) === 'passphrase' ? 'passphrase' : 'key file'}, or the content was modified`);
+  }
+}
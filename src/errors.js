@@ -0,0 +1,55 @@
+export const ERROR_CODES = [
+  'INVALID_ARGUMENT',
+  'UNSUPPORTED',
+  'NOT_FOUND',
+  'INVALID_CONFIG',
+  'AUTH_REQUIRED',
+  'REMOTE_ERROR',
+  'INPUT_REQUIRED',
+  'SYNC_CONFLICT',
+  'LOCKED',
+  'PREFLIGHT_FAILED',
+  'DECRYPTION_FAILED',
+  'IO_ERROR',
+  'UNKNOWN'
+];
+
+const SYSTEM_ERROR_CODES = {
+  ENOENT: 'NOT_FOUND',
+  ECONNREFUSED: 'REMOTE_ERROR',
+  ECONNRESET: 'REMOTE_ERROR',
+  ENOTFOUND: 'REMOTE_ERROR',
+  ETIMEDOUT: 'REMOTE_ERROR'
+};
+
+export class McpError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'McpError';
+    this.code = code;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+export function getErrorCode(error) {
+  if (error && ERROR_CODES.includes(error.code)) {
+    return error.code;
+  }
+  if (error && SYSTEM_ERROR_CODES[error.code]) {
+    return SYSTEM_ERROR_CODES[error.code];
+  }
+  if (error && typeof error.code === 'string' && /^E[A-Z]+$/.test(error.code)) {
+    return 'IO_ERROR';
+  }
+  return 'UNKNOWN';
+}
+
+export function serializeError(error) {
+  const result = { code: getErrorCode(error), message: error && error.message ? error.message : String(error) };
+  if (error && error.details !== undefined) {
+    result.details = error.details;
+  }
+  return result;
+}
@@ -0,0 +1,201 @@
+import { getRemoteType } from './clients.js';
+import { McpError } from './errors.js';
+
+const exporters = new Map();
+
+const IMAGES = {
+  npx: 'node:lts-alpine',
+  node: 'node:lts-alpine',
+  uvx: 'ghcr.io/astral-sh/uv:python3.12-bookworm-slim',
+  uv: 'ghcr.io/astral-sh/uv:python3.12-bookworm-slim',
+  python: 'python:3.12-slim',
+  python3: 'python:3.12-slim'
+};
+
+export function registerExporter(exporter) {
+  if (!exporter || !exporter.id || typeof exporter.render !== 'function') {
+    throw new McpError('INVALID_ARGUMENT', 'Exporters require an id and render(servers, options)');
+  }
+  exporters.set(exporter.id, exporter);
+}
+
+export function getExporter(id) {
+  return id ? exporters.get(id.toLowerCase()) || null : null;
+}
+
+export function getExporterIds() {
+  return [...exporters.keys()];
+}
+
+export function quoteShell(value) {
+  const text = String(value);
+  return /^[A-Za-z0-9_@%+=:,./-]+$/.test(text) ? text : `'${text.replace(/'/g, '\'\\\'\'')}'`;
+}
+
+function renderClaudeCommands(servers, { scope } = {}) {
+  const skipped = [];
+  const lines = [];
+
+  for (const [name, entry] of Object.entries(servers)) {
+    const args = ['claude', 'mcp', 'add'];
+
+    if (typeof entry.url === 'string') {
+      args.push('--transport', getRemoteType(entry));
+      if (scope) args.push('--scope', scope);
+      for (const [key, value] of Object.entries(entry.headers || {})) {
+        args.push('--header', `${key}: ${value}`);
+      }
+      args.push(name, entry.url);
+    } else if (typeof entry.command === 'string') {
+      args.push('--transport', 'stdio');
+      if (scope) args.push('--scope', scope);
+      for (const [key, value] of Object.entries(entry.env || {})) {
+        args.push('--env', `${key}=${value}`);
+      }
+      args.push(name, '--', entry.command, ...(entry.args || []));
+    } else {
+      skipped.push({ server: name, reason: 'no command or url' });
+      continue;
+    }
+
+    lines.push(args.map(quoteShell).join(' '));
+  }
+
+  return { content: lines.length > 0 ? `${lines.join('\n')}\n` : '', skipped };
+}
+
+const DOCKER_BOOLEAN_FLAGS = ['-i', '-t', '-it', '-ti', '--interactive', '--tty', '--rm', '--init', '--privileged', '--read-only'];
+
+const DOCKER_VALUE_FLAGS = {
+  '--name': 'container_name',
+  '-w': 'working_dir',
+  '--workdir': 'working_dir',
+  '--network': 'network_mode',
+  '-u': 'user',
+  '--user': 'user',
+  '--entrypoint': 'entrypoint'
+};
+
+function parseDockerRun(args) {
+  const service = { environment: {}, volumes: [], ports: [] };
+  const rest = [...args];
+
+  if (rest.shift() !== 'run') {
+    return { reason: 'only "docker run" commands can be converted' };
+  }
+
+  while (rest.length > 0 && rest[0].startsWith('-')) {
+    const flag = rest.shift();
+    const [name, inline] = flag.split(/=(.*)/s);
+
+    if (DOCKER_BOOLEAN_FLAGS.includes(name)) {
+      continue;
+    }
+
+    const value = inline ?? rest.shift();
+    if (value === undefined) {
+      return { reason: `docker run option ${name} has no value` };
+    }
+    if (['-e', '--env'].includes(name)) {
+      const separator = value.indexOf('=');
+      service.environment[separator > 0 ? value.slice(0, separator) : value] = separator > 0 ? value.slice(separator + 1) : `\${${value}}`;
+    } else if (['-v', '--volume'].includes(name)) {
+      service.volumes.push(value);
+    } else if (['-p', '--publish'].includes(name)) {
+      service.ports.push(value);
+    } else if (DOCKER_VALUE_FLAGS[name]) {
+      service[DOCKER_VALUE_FLAGS[name]] = value;
+    } else {
+      return { reason: `unsupported docker run option ${name}` };
+    }
+  }
+
+  service.image = rest.shift();
+  if (!service.image) {
+    return { reason: 'docker run has no image' };
+  }
+  if (rest.length > 0) {
+    service.command = rest;
+  }
+  return { service };
+}
+
+function toComposeService(entry) {
+  if (typeof entry.url === 'string') {
+    return { reason: 'remote servers already run elsewhere' };
+  }
+  if (typeof entry.command !== 'string') {
+    return { reason: 'no command' };
+  }
+
+  const commandName = entry.command.split(/[\\/]/).pop();
+  let service;
+  if (commandName === 'docker') {
+    const parsed = parseDockerRun(entry.args || []);
+    if (!parsed.service) {
+      return parsed;
+    }
+    service = parsed.service;
+  } else if (IMAGES[commandName]) {
+    service = { image: IMAGES[commandName], command: [commandName, ...(entry.args || [])], environment: {}, volumes: [], ports: [] };
+  } else {
+    return { reason: `no container image is known for "${entry.command}"` };
+  }
+
+  Object.assign(service.environment, entry.env || {});
+  const { image, ...rest } = service;
+  return {
+    service: Object.fromEntries(
+      Object.entries({ image, ...rest, stdin_open: true })
+        .filter(([, value]) => !(Array.isArray(value) ? value.length === 0 : value && typeof value === 'object' && Object.keys(value).length === 0))
+    )
+  };
+}
+
+function yamlValue(value, indent) {
+  const pad = ' '.repeat(indent);
+
+  if (Array.isArray(value)) {
+    return value.map(item => `\n${pad}- ${JSON.stringify(String(item))}`).join('');
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value)
+      .filter(([, item]) => item !== undefined)
+      .map(([key, item]) => {
+        const rendered = yamlValue(item, indent + 2);
+        const yamlKey = /^[A-Za-z0-9_.-]+$/.test(key) ? key : JSON.stringify(key);
+        return typeof item === 'object' ? `\n${pad}${yamlKey}:${rendered}` : `\n${pad}${yamlKey}: ${rendered}`;
+      })
+      .join('');
+  }
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+function renderDockerCompose(servers) {
+  const skipped = [];
+  const services = {};
+
+  for (const [name, entry] of Object.entries(servers)) {
+    const { service, reason } = toComposeService(entry);
+    if (service) {
+      services[name.toLowerCase().replace(/[^a-z0-9_-]/g, '-')] = service;
+    } else {
+      skipped.push({ server: name, reason });
+    }
+  }
+
+  const content = Object.keys(services).length > 0 ? `${yamlValue({ services }, 0).trimStart()}\n` : '';
+  return { content, skipped };
+}
+
+registerExporter({
+  id: 'claude-commands',
+  name: 'claude mcp add commands',
+  render: renderClaudeCommands
+});
+
+registerExporter({
+  id: 'docker-compose',
+  name: 'Docker Compose',
+  render: renderDockerCompose
+});
@@ -0,0 +1,127 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { McpError } from './errors.js';
+
+const LOCK_SUFFIX = '.lock';
+const LOCK_TIMEOUT = 10000;
+const LOCK_RETRY_DELAY = 100;
+const STALE_LOCK_AGE = 60000;
+const RENAME_RETRIES = 5;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function resolveTarget(filePath) {
+  try {
+    return await fs.realpath(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return path.resolve(filePath);
+    }
+    throw error;
+  }
+}
+
+async function renameWithRetry(from, to) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fs.rename(from, to);
+    } catch (error) {
+      if (attempt >= RENAME_RETRIES || !['EPERM', 'EACCES', 'EBUSY'].includes(error.code)) {
+        throw error;
+      }
+      await delay(attempt * 50);
+    }
+  }
+}
+
+export async function writeFileAtomic(filePath, content, { mode } = {}) {
+  const target = await resolveTarget(filePath);
+  const tempPath = path.join(path.dirname(target), `.${path.basename(target)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+
+  let fileMode = mode;
+  if (fileMode === undefined) {
+    try {
+      fileMode = (await fs.stat(target)).mode & 0o777;
+    } catch {
+      fileMode = undefined;
+    }
+  }
+
+  let handle;
+  try {
+    handle = await fs.open(tempPath, 'wx', fileMode);
+    await handle.writeFile(content, 'utf8');
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    await renameWithRetry(tempPath, target);
+  } catch (error) {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+async function isStaleLock(lockPath) {
+  try {
+    const [content, stat] = await Promise.all([fs.readFile(lockPath, 'utf8'), fs.stat(lockPath)]);
+    const owner = JSON.parse(content);
+    if (owner.host === os.hostname() && Number.isInteger(owner.pid) && !isProcessAlive(owner.pid)) {
+      return true;
+    }
+    return Date.now() - stat.mtimeMs > STALE_LOCK_AGE;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    try {
+      return Date.now() - (await fs.stat(lockPath)).mtimeMs > STALE_LOCK_AGE;
+    } catch {
+      return false;
+    }
+  }
+}
+
+export async function withFileLock(filePath, task, { timeout = LOCK_TIMEOUT } = {}) {
+  const lockPath = `${await resolveTarget(filePath)}${LOCK_SUFFIX}`;
+  const deadline = Date.now() + timeout;
+  const owner = JSON.stringify({ pid: process.pid, host: os.hostname(), createdAt: new Date().toISOString() });
+
+  for (;;) {
+    try {
+      await fs.writeFile(lockPath, owner, { encoding: 'utf8', flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      if (await isStaleLock(lockPath)) {
+        await fs.rm(lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw new McpError('LOCKED', `${filePath} is locked by another portable-mcp process. Try again, or delete ${lockPath} if no other run is active`);
+      }
+      await delay(LOCK_RETRY_DELAY);
+    }
+  }
+
+  try {
+    return await task();
+  } finally {
+    await fs.rm(lockPath, { force: true });
+  }
+}
@@ -2,51 +2,149 @@ import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
 import fetch from 'node-fetch';
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
 import { promisify } from 'util';
-import ora from 'ora';
+import inquirer from 'inquirer';
 import chalk from 'chalk';
-
-const execAsync = promisify(exec);
+import {
+  getClient,
+  getClientIds,
+  listClients,
+  resolveClientPath,
+  extractServers,
+  withoutServers,
+  writeServers,
+  genericClient
+} from './clients.js';
+import { diffServers, diffEntry, hasChanges } from './diff.js';
+import { selectServers, mergeServers, removeServers, parseServerList } from './servers.js';
+import { validateConfig, assertValidConfig } from './validate.js';
+import {
+  getSecretsFile,
+  findSecrets,
+  extractSecrets,
+  findPlaceholders,
+  resolvePlaceholders,
+  readSecretsFile,
+  saveSecrets
+} from './secrets.js';
+import { getSourceProvider } from './sources.js';
+import { getStorageProvider, getStorageProviderNames } from './storage.js';
+import { getStateFile, readState, updateLink, hashServers } from './state.js';
+import { composeLayers } from './layers.js';
+import { getTemplateValues, isTemplateVariable, renderServers, templatizeHomePaths, toNativeVariables } from './templates.js';
+import { probeServer } from './doctor.js';
+import { preflightServers } from './preflight.js';
+import {
+  getCatalogFiles,
+  loadCatalogFile,
+  getCatalogEntry,
+  searchCatalog,
+  parseAssignments,
+  buildServerEntry
+} from './catalog.js';
+import { isEncryptedEnvelope, getSecretKind, readKeyFile, encryptContent, decryptEnvelope } from './encryption.js';
+import { MANIFEST_FILE, findManifest, readManifest, getManifestSources, getRequiredEnv } from './manifest.js';
+import { writeFileAtomic, withFileLock } from './files.js';
+import { getExporter, getExporterIds } from './exporters.js';
+import { parseJsonc, formatJsonc, toStrictJson } from './jsonc.js';
+import { getBackupDir, getBackupCount, createBackup, listBackups, readBackup } from './backups.js';
+import { McpError, getErrorCode, serializeError } from './errors.js';
+import { createConsoleReporter, silentReporter } from './reporter.js';
+
+export { registerClient, getClient, listClients } from './clients.js';
+export { validateConfig, ValidationError } from './validate.js';
+export { registerSourceProvider } from './sources.js';
+export { registerStorageProvider } from './storage.js';
+export { registerCatalogEntry } from './catalog.js';
+export { registerExporter } from './exporters.js';
+export { startWatch, createWatchLogger, createWatchReporter, parseInterval } from './watch.js';
+export { McpError, ERROR_CODES, serializeError } from './errors.js';
+export { silentReporter, createConsoleReporter } from './reporter.js';
+
+const execFileAsync = promisify(execFile);
 
 export class McpManager {
-  constructor() {
+  constructor(options = {}) {
+    this.reporter = options.reporter ? { ...silentReporter, ...options.reporter } : createConsoleReporter();
+    this.interactive = options.interactive ?? (!options.reporter && Boolean(process.stdin.isTTY));
     this.githubToken = process.env.GITHUB_TOKEN;
+    this.githubApiUrl = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
     this.platform = os.platform();
+    this.backupDir = getBackupDir();
+    this.secretsFile = getSecretsFile();
+    this.stateFile = getStateFile();
   }
 
 
   getDefaultPath(type) {
-    const homeDir = os.homedir();
+    const client = getClient(type);
+    return resolveClientPath(client, { platform: this.platform, home: os.homedir() });
+  }
+
+
+  getProjectPath(type, root) {
+    const client = getClient(type);
+    if (!client.projectPath) {
+      const supported = listClients().filter(item => item.projectPath).map(item => item.id);
+      throw new McpError('UNSUPPORTED', `${client.name} has no project-level configuration. Supported clients: ${supported.join(', ')}. Use --global to install into the user configuration`);
+    }
+    return client.projectPath(root);
+  }
+
+
+  async detect() {
+    const spinner = this.reporter.spinner('Scanning for MCP client configurations...');
+    const results = [];
 
-    switch (type.toLowerCase()) {
-      case 'cursor':
-        return this.platform === 'darwin'
-          ? path.join(homeDir, 'Library', 'Application Support', 'Cursor', 'User', 'mcp.json')
-          : path.join(homeDir, '.cursor', 'mcp.json');
+    for (const client of listClients()) {
+      const result = { type: client.id, name: client.name, path: null, exists: false, serverCount: 0 };
 
-      case 'claude':
-        return this.platform === 'darwin'
-          ? path.join(homeDir, 'Library', 'Application Support', 'Claude', 'claude_desktop_config.json')
-          : path.join(homeDir, 'AppData', 'Roaming', 'Claude', 'claude_desktop_config.json');
+      try {
+        result.path = this.getDefaultPath(client.id);
+        await fs.access(result.path);
+        result.exists = true;
+      } catch (error) {
+        if (!result.path) {
+          result.error = error.message;
+        }
+        results.push(result);
+        continue;
+      }
+
+      try {
+        const content = await fs.readFile(result.path, 'utf8');
+        result.serverCount = Object.keys(extractServers(parseJsonc(content, result.path)).servers).length;
+      } catch (error) {
+        result.serverCount = null;
+        result.error = `Cannot parse configuration: ${error.message}`;
+      }
 
-      default:
-        throw new Error(`Unsupported type: ${type}. Supported types: cursor, claude`);
+      results.push(result);
     }
+
+    const found = results.filter(result => result.exists).length;
+    spinner.succeed(`Found ${found} of ${results.length} known client configurations`);
+    return results;
   }
 
 
-  async downloadJson(url) {
-    const spinner = ora('Downloading configuration...').start();
+  async downloadJson(url, headers = {}) {
+    const spinner = this.reporter.spinner('Downloading configuration...');
 
     try {
-      const response = await fetch(url);
+      const response = await fetch(url, { headers });
       if (!response.ok) {
-        throw new Error(`Failed to download: ${response.status} ${response.statusText}`);
+        throw new McpError('REMOTE_ERROR', `Failed to download: ${response.status} ${response.statusText}`);
       }
 
       const jsonText = await response.text();
-      const jsonData = JSON.parse(jsonText);
+      let jsonData;
+      try {
+        jsonData = JSON.parse(jsonText);
+      } catch (error) {
+        throw new McpError('INVALID_CONFIG', `Invalid JSON in ${url}: ${error.message}`);
+      }
 
       spinner.succeed('Configuration downloaded successfully');
       return jsonData;
@@ -57,220 +155,1562 @@ export class McpManager {
   }
 
 
-  async downloadFromGist(gistInput) {
-    let gistId, fileName;
+  getGitHubHeaders() {
+    const headers = {};
+
+    if (this.githubToken) {
+      headers.Authorization = `token ${this.githubToken}`;
+    }
+
+    return headers;
+  }
+
+
+  async fetchUserGists() {
+    if (this.githubToken) {
+      const gists = [];
+      for (let page = 1; ; page++) {
+        const response = await fetch(`${this.githubApiUrl}/gists?per_page=100&page=${page}`, { headers: this.getGitHubHeaders() });
+        if (!response.ok) {
+          throw new McpError('REMOTE_ERROR', `Failed to list gists: ${response.status} ${response.statusText}`);
+        }
+
+        const pageGists = await response.json();
+        gists.push(...pageGists);
+        if (pageGists.length < 100) {
+          return gists;
+        }
+      }
+    }
+
+    if (await this.hasGitHubCli()) {
+      const { stdout } = await execFileAsync('gh', ['api', '/gists', '--paginate', '--jq', '.[]'], { maxBuffer: 10 * 1024 * 1024 });
+      return stdout.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+
+    throw new McpError('AUTH_REQUIRED', 'Either GITHUB_TOKEN environment variable or authenticated GitHub CLI is required');
+  }
+
+
+  async inspectGistFiles(gist, spinner) {
+    const files = [];
+
+    for (const file of Object.values(gist.files || {})) {
+      if (!file.filename.endsWith('.json') && file.language !== 'JSON') {
+        continue;
+      }
+
+      spinner.text = `Inspecting ${gist.id}/${file.filename}...`;
+      try {
+        const response = await fetch(file.raw_url);
+        if (!response.ok) continue;
+
+        const document = JSON.parse(await response.text());
+        const { rootKey, servers } = extractServers(document);
+        if (isEncryptedEnvelope(document)) {
+          files.push({ name: file.filename, servers: [], encrypted: true });
+        } else if (rootKey) {
+          files.push({ name: file.filename, servers: Object.keys(servers), encrypted: false });
+        }
+      } catch {
+        // Not a JSON MCP configuration
+      }
+    }
+
+    return files;
+  }
+
+
+  async listGists() {
+    const spinner = this.reporter.spinner('Fetching your Gists...');
+
+    try {
+      const gists = await this.fetchUserGists();
+      const results = [];
+
+      for (const gist of gists) {
+        const files = await this.inspectGistFiles(gist, spinner);
+
+        if (files.length > 0) {
+          results.push({
+            id: gist.id,
+            description: gist.description || '',
+            public: gist.public,
+            updatedAt: gist.updated_at,
+            url: gist.html_url,
+            files
+          });
+        }
+      }
+
+      spinner.succeed(`Found ${results.length} Gist${results.length === 1 ? '' : 's'} with MCP configurations`);
+      return results;
+    } catch (error) {
+      spinner.fail('Failed to list Gists');
+      throw error;
+    }
+  }
+
+
+  async profiles(options) {
+    if (!options.gist) {
+      throw new McpError('INVALID_ARGUMENT', '--gist is required');
+    }
+
+    const { id } = this.gistIdToConfig(options.gist);
+    const spinner = this.reporter.spinner('Fetching Gist profiles...');
+
+    try {
+      const gist = await this.fetchGist(id, options.revision);
+      const profiles = (await this.inspectGistFiles(gist, spinner)).map(file => ({
+        name: file.name.replace(/\.json$/, ''),
+        fileName: file.name,
+        servers: file.servers,
+        encrypted: file.encrypted
+      }));
+
+      spinner.succeed(`Found ${profiles.length} profile${profiles.length === 1 ? '' : 's'} in Gist ${id}`);
+      return { id, description: gist.description || '', profiles };
+    } catch (error) {
+      spinner.fail('Failed to list Gist profiles');
+      throw error;
+    }
+  }
+
+
+  async fetchGist(gistId, revision) {
+    const gistUrl = `${this.githubApiUrl}/gists/${gistId}${revision ? `/${revision}` : ''}`;
+    const response = await fetch(gistUrl, { headers: this.getGitHubHeaders() });
+    if (!response.ok) {
+      throw new McpError(response.status === 404 ? 'NOT_FOUND' : 'REMOTE_ERROR', `Failed to fetch gist: ${response.status} ${response.statusText}`);
+    }
+
+    return await response.json();
+  }
+
+
+  async fetchGistIfChanged(gistId, etag) {
+    const headers = this.getGitHubHeaders();
+    if (etag) {
+      headers['If-None-Match'] = etag;
+    }
+
+    const response = await fetch(`${this.githubApiUrl}/gists/${gistId}`, { headers });
+    if (response.status === 304) {
+      return { changed: false, etag };
+    }
+    if (!response.ok) {
+      throw new McpError(response.status === 404 ? 'NOT_FOUND' : 'REMOTE_ERROR', `Failed to fetch gist: ${response.status} ${response.statusText}`);
+    }
+
+    return { changed: true, etag: response.headers.get('etag'), gist: await response.json() };
+  }
+
+
+  pickGistFile(gistData, fileName) {
+    const gistId = gistData.id;
+    const files = Object.keys(gistData.files);
+
+    if (files.length === 0) {
+      throw new McpError('NOT_FOUND', 'Gist contains no files');
+    }
+
+
+    if (fileName) {
+      const targetFile = gistData.files[fileName];
+      if (!targetFile) {
+        throw new McpError('NOT_FOUND', `File '${fileName}' not found in gist. Available files: ${files.join(', ')}`);
+      }
+      return targetFile;
+    } else if (files.length === 1) {
+      return gistData.files[files[0]];
+    }
+
+    const jsonFiles = files.filter(f => f.endsWith('.json'));
+    if (jsonFiles.length === 1) {
+      return gistData.files[jsonFiles[0]];
+    }
+    throw new McpError('INVALID_ARGUMENT', `Multiple files in gist. Please specify filename: ${gistId}/${files.join(' or ' + gistId + '/')}`);
+  }
+
+
+  async downloadFromGist(gistInput, revision) {
+    const { id: gistId, fileName } = this.gistIdToConfig(gistInput);
+
+    const spinner = this.reporter.spinner(revision ? `Fetching Gist revision ${revision}...` : 'Fetching Gist information...');
+
+    try {
+      const gistData = await this.fetchGist(gistId, revision);
+      const targetFile = this.pickGistFile(gistData, fileName);
+
+      spinner.succeed('Gist information fetched');
+
+      const rawUrl = targetFile.raw_url;
+      return await this.downloadJson(rawUrl);
+    } catch (error) {
+      spinner.fail('Failed to fetch from Gist');
+      throw error;
+    }
+  }
+
+
+  async readGistRevisionFile(gistId, fileName, revision) {
+    const gistData = await this.fetchGist(gistId, revision);
+    const file = gistData.files[fileName];
+    if (!file) {
+      return null;
+    }
+
+    const response = await fetch(file.raw_url);
+    if (!response.ok) {
+      throw new McpError('REMOTE_ERROR', `Failed to download ${fileName} at revision ${revision}: ${response.status} ${response.statusText}`);
+    }
+
+    const document = JSON.parse(await response.text());
+    // Encrypted files cannot be read without the key, so callers compare their ciphertext instead
+    return isEncryptedEnvelope(document)
+      ? { encrypted: true, servers: null, ciphertext: document.data }
+      : { encrypted: false, servers: extractServers(document).servers };
+  }
+
+
+  async history(options) {
+    if (!options.gist) {
+      throw new McpError('INVALID_ARGUMENT', '--gist must be provided');
+    }
+
+    const limit = parseInt(options.limit ?? 10, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new McpError('INVALID_ARGUMENT', `Invalid limit: ${options.limit}. Must be a positive integer`);
+    }
+
+    const { id: gistId, fileName } = this.gistIdToConfig(options.gist);
+    const spinner = this.reporter.spinner('Fetching Gist history...');
+
+    try {
+      const gistData = await this.fetchGist(gistId);
+      const targetFileName = this.pickGistFile(gistData, fileName).filename;
+      const history = gistData.history || [];
+      const revisions = history.slice(0, limit + 1);
+
+      const snapshots = [];
+      for (const [index, revision] of revisions.entries()) {
+        spinner.text = `Fetching revision ${index + 1} of ${revisions.length}...`;
+        const file = await this.readGistRevisionFile(gistId, targetFileName, revision.version);
+        snapshots.push({
+          revision: revision.version,
+          committedAt: revision.committed_at,
+          user: revision.user ? revision.user.login : null,
+          encrypted: Boolean(file && file.encrypted),
+          servers: file ? file.servers : null
+        });
+      }
+
+      const entries = snapshots.slice(0, limit).map((snapshot, index) => {
+        const previous = snapshots[index + 1];
+        const isFirstRevision = index === history.length - 1;
+        const previousEncrypted = Boolean(previous && previous.encrypted);
+        return {
+          ...snapshot,
+          previousEncrypted,
+          serverNames: Object.keys(snapshot.servers || {}),
+          diff: !snapshot.encrypted && !previousEncrypted && (previous || isFirstRevision)
+            ? diffServers((previous && previous.servers) || {}, snapshot.servers || {})
+            : null
+        };
+      });
+
+      spinner.succeed(`Fetched ${entries.length} of ${history.length} revisions of ${gistId}/${targetFileName}`);
+      return { gistId, fileName: targetFileName, total: history.length, entries };
+    } catch (error) {
+      spinner.fail('Failed to fetch Gist history');
+      throw error;
+    }
+  }
+
+
+  async getJsonData(options) {
+    if (options.revision && !options.gist) {
+      throw new McpError('INVALID_ARGUMENT', '--revision can only be used with --gist');
+    }
+    if (options.profile && (!options.gist || options.jsonUrl)) {
+      throw new McpError('INVALID_ARGUMENT', '--profile can only be used with --gist');
+    }
+
+    const document = await getSourceProvider(options).load(options, this);
+    return await this.decryptDocument(document, options, options.gist ? `Gist ${options.gist}` : options.jsonUrl);
+  }
+
+
+  async promptForPassphrase(label, confirm) {
+    const { passphrase } = await inquirer.prompt([
+      { type: 'password', name: 'passphrase', mask: '*', message: `Passphrase for ${label}:` }
+    ]);
+
+    if (confirm) {
+      const { repeated } = await inquirer.prompt([
+        { type: 'password', name: 'repeated', mask: '*', message: 'Repeat the passphrase:' }
+      ]);
+      if (repeated !== passphrase) {
+        throw new McpError('INVALID_ARGUMENT', 'Passphrases do not match');
+      }
+    }
+
+    if (!passphrase) {
+      throw new McpError('INVALID_ARGUMENT', 'The passphrase cannot be empty');
+    }
+    return passphrase;
+  }
+
+
+  async getEncryptionSecret(kind, options, label, confirm = false) {
+    if (kind === 'key') {
+      const keyFile = options.keyFile || process.env.PORTABLE_MCP_KEY_FILE;
+      if (!keyFile) {
+        throw new McpError('INPUT_REQUIRED', `A key file is required for ${label}. Pass --key-file or set PORTABLE_MCP_KEY_FILE`);
+      }
+      return { key: await readKeyFile(keyFile) };
+    }
+
+    const passphrase = options.passphrase || process.env.PORTABLE_MCP_PASSPHRASE;
+    if (passphrase) {
+      return { passphrase };
+    }
+    if (!this.interactive) {
+      throw new McpError('INPUT_REQUIRED', `A passphrase is required for ${label}. Set PORTABLE_MCP_PASSPHRASE or use --key-file`);
+    }
+    return { passphrase: await this.promptForPassphrase(label, confirm) };
+  }
+
+
+  async decryptDocument(document, options, label) {
+    if (!isEncryptedEnvelope(document)) {
+      return document;
+    }
+
+    const secret = await this.getEncryptionSecret(getSecretKind(document), options, label);
+    const content = await decryptEnvelope(document, secret, label);
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new McpError('INVALID_CONFIG', `Invalid JSON in decrypted ${label}: ${error.message}`);
+    }
+  }
+
+
+  async validate(options) {
+    if (options.jsonUrl || options.gist) {
+      const document = await this.getJsonData(options);
+      return { source: options.jsonUrl || options.gist, ...validateConfig(document) };
+    }
+
+    const source = options.file || this.getDestination(options);
+    const content = await fs.readFile(source, 'utf8');
+
+    let document;
+    try {
+      document = parseJsonc(content, source);
+    } catch (error) {
+      return { source, valid: false, serverCount: 0, errors: [{ path: '$', message: error.message }] };
+    }
+
+    return { source, ...validateConfig(await this.decryptDocument(document, options, source)) };
+  }
+
+
+  getDestination(options) {
+    if (options.destination) {
+      return options.destination;
+    } else if (options.type) {
+      return this.getDefaultPath(options.type);
+    } else {
+      throw new McpError('INVALID_ARGUMENT', 'Either --type or --destination must be provided');
+    }
+  }
+
+
+  async ensureDestinationDir(filePath) {
+    const dir = path.dirname(filePath);
+    try {
+      await fs.access(dir);
+    } catch {
+      await fs.mkdir(dir, { recursive: true });
+    }
+  }
+
+
+  getClientForOptions(options) {
+    return options.type ? getClient(options.type) : null;
+  }
+
+
+  async readExistingFile(filePath) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { content: null, data: {} };
+      }
+      throw new McpError(getErrorCode(error), `Cannot read existing configuration: ${filePath}. ${error.message}`);
+    }
+
+    try {
+      return { content, data: parseJsonc(content, filePath) };
+    } catch (error) {
+      throw new McpError('INVALID_CONFIG', `${error.message}. Fix or remove the file; it was left unchanged`);
+    }
+  }
+
+
+  async readExistingConfig(filePath) {
+    return (await this.readExistingFile(filePath)).data;
+  }
+
+
+  async backupExisting(destination, options) {
+    const keep = getBackupCount(options.keepBackups);
+    const spinner = this.reporter.spinner('Backing up existing configuration...');
+
+    try {
+      const backup = await createBackup(destination, { backupDir: this.backupDir, type: options.type, keep });
+      if (backup) {
+        spinner.succeed(`Previous configuration backed up as: ${backup.id}`);
+      } else {
+        spinner.stop();
+      }
+      return backup;
+    } catch (error) {
+      spinner.fail('Failed to back up existing configuration');
+      throw error;
+    }
+  }
+
+
+  async listBackups(options = {}) {
+    const source = options.type || options.destination ? this.getDestination(options) : undefined;
+    return await listBackups({ backupDir: this.backupDir, source });
+  }
+
+
+  async restore(options) {
+    let backupId = options.backup;
+
+    if (!backupId) {
+      const destination = this.getDestination(options);
+      const [latest] = await listBackups({ backupDir: this.backupDir, source: destination });
+      if (!latest) {
+        throw new McpError('NOT_FOUND', `No backups found for: ${destination}`);
+      }
+      backupId = latest.id;
+    }
+
+    const backup = await readBackup(backupId, { backupDir: this.backupDir });
+    const destination = options.type || options.destination ? this.getDestination(options) : backup.source;
+
+    await this.ensureDestinationDir(destination);
+    return await withFileLock(destination, async () => {
+      await this.backupExisting(destination, { ...options, type: options.type || backup.type });
+
+      const spinner = this.reporter.spinner('Restoring configuration...');
+      try {
+        await writeFileAtomic(destination, backup.content);
+        spinner.succeed(`Configuration restored from ${backup.id} at: ${destination}`);
+        return { backup, destination };
+      } catch (error) {
+        spinner.fail('Failed to restore configuration');
+        throw error;
+      }
+    });
+  }
+
+
+  async promptForSecrets(names, secretsFile) {
+    this.reporter.info(`Values needed for: ${names.join(', ')}`);
+    this.reporter.info(chalk.gray(`Tip: set them in the environment or in ${secretsFile} to skip this prompt.`));
+
+    return await inquirer.prompt(names.map(name => ({
+      type: 'password',
+      name,
+      mask: '*',
+      message: `${name}:`
+    })));
+  }
+
+
+  async resolveSecrets(document, options) {
+    const { rootKey, servers } = extractServers(document);
+    const names = findPlaceholders(servers).filter(name => !isTemplateVariable(name));
+    if (names.length === 0) {
+      return document;
+    }
+
+    const secretsFile = options.secretsFile || this.secretsFile;
+    const fileValues = await readSecretsFile(secretsFile);
+    const values = {};
+    const missing = [];
+
+    for (const name of names) {
+      const value = process.env[name] ?? fileValues[name];
+      if (value === undefined) {
+        missing.push(name);
+      } else {
+        values[name] = value;
+      }
+    }
+
+    if (missing.length > 0) {
+      if (!this.interactive) {
+        throw new McpError('INPUT_REQUIRED', `Missing values for placeholders: ${missing.join(', ')}. Set them in the environment or in ${secretsFile}`);
+      }
+      Object.assign(values, await this.promptForSecrets(missing, secretsFile));
+    }
+
+    return { ...document, [rootKey]: resolvePlaceholders(servers, values) };
+  }
+
+
+  getSourceLayers(options) {
+    if (options.sources && options.sources.length > 0) {
+      return options.sources;
+    }
+
+    return [
+      ...[].concat(options.gist || []).map(gist => ({ gist })),
+      ...[].concat(options.jsonUrl || []).map(jsonUrl => ({ jsonUrl }))
+    ];
+  }
+
+
+  async composeSources(options) {
+    const sources = this.getSourceLayers(options);
+    if (options.revision || options.profile) {
+      throw new McpError('INVALID_ARGUMENT', '--revision and --profile can only be used with a single source');
+    }
+
+    const layers = [];
+    for (const source of sources) {
+      const document = source.document || await this.getJsonData({ ...options, gist: undefined, jsonUrl: undefined, ...source });
+      layers.push({ label: source.label || (source.gist ? `gist ${source.gist}` : source.jsonUrl), document });
+    }
+
+    const composed = composeLayers(layers);
+    const document = layers.reduce((result, layer) => this.deepMerge(result, withoutServers(layer.document)), {});
+    document.mcpServers = composed.servers;
+
+    return { ...composed, layers: layers.map(layer => layer.label), document };
+  }
+
+
+  async loadSource(options) {
+    return (await this.loadSourceLayers(options)).document;
+  }
+
+
+  async loadSourceLayers(options) {
+    const sources = this.getSourceLayers(options);
+    if (sources.length > 1) {
+      const { layers, document, entries, removed } = await this.composeSources(options);
+      assertValidConfig(document, layers.join(' + '));
+      return {
+        document: options.keepPlaceholders ? document : await this.resolveSecrets(document, options),
+        removed: [
+          ...Object.keys(removed),
+          ...Object.entries(entries).filter(([, entry]) => entry.disabled === true).map(([name]) => name)
+        ]
+      };
+    }
+
+    const sourceOptions = sources.length === 1 ? { ...options, gist: undefined, jsonUrl: undefined, ...sources[0] } : options;
+    const jsonData = sourceOptions.document || await this.getJsonData(sourceOptions);
+    assertValidConfig(jsonData, sourceOptions.label || sourceOptions.jsonUrl || sourceOptions.gist || 'source');
+    return {
+      document: options.keepPlaceholders ? jsonData : await this.resolveSecrets(jsonData, options),
+      removed: []
+    };
+  }
+
+
+  async explain(name, options) {
+    const sources = this.getSourceLayers(options);
+    if (sources.length === 0) {
+      throw new McpError('INVALID_ARGUMENT', 'Either --json-url or --gist must be provided');
+    }
+
+    const { entries, origins, removed, layers } = await this.composeSources(options);
+    if (!entries[name] && !removed[name]) {
+      throw new McpError('NOT_FOUND', `Server not found in any layer: ${name}. Available servers: ${Object.keys(entries).join(', ') || 'none'}`);
+    }
+
+    let state = 'active';
+    if (removed[name]) {
+      state = 'removed';
+    } else if (entries[name].disabled === true) {
+      state = 'disabled';
+    }
+
+    return {
+      name,
+      layers,
+      state,
+      removedBy: removed[name] || null,
+      entry: entries[name] || null,
+      origins: origins[name] || {}
+    };
+  }
+
+
+  async askConflict(name, existingEntry, incomingEntry) {
+    if (!this.interactive) {
+      throw new McpError('INPUT_REQUIRED', `Server '${name}' already exists. Use --on-conflict keep|overwrite|rename when not running interactively`);
+    }
+
+    this.reporter.warn([
+      `Server '${name}' already exists with a different definition:`,
+      ...diffEntry(existingEntry, incomingEntry).map(({ field, before, after }) => (
+        `    ${chalk.white(field || '(entry)')}: ${chalk.red(McpManager.formatDiffValue(before))} → ${chalk.green(McpManager.formatDiffValue(after))}`
+      ))
+    ].join('\n'));
+
+    const { strategy } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'strategy',
+        message: `What should happen to '${name}'?`,
+        choices: [
+          { name: 'Keep the existing server', value: 'keep' },
+          { name: 'Overwrite with the incoming server', value: 'overwrite' },
+          { name: 'Add the incoming server under a new name', value: 'rename' }
+        ]
+      }
+    ]);
+    return strategy;
+  }
+
+
+  resolveClient(options, ...documents) {
+    const client = this.getClientForOptions(options);
+    if (client) {
+      return client;
+    }
+
+    const rootKey = documents.map(document => extractServers(document).rootKey).find(Boolean);
+    return genericClient(rootKey || undefined);
+  }
+
+
+  createPlan(action, destination, client, existing, outputData) {
+    const existingData = existing.data;
+    return {
+      action,
+      destination,
+      client,
+      existingContent: existing.content,
+      existingData,
+      outputData,
+      diff: diffServers(extractServers(existingData).servers, extractServers(outputData).servers),
+      findings: []
+    };
+  }
+
+
+  renderTemplates(document, client, options) {
+    const { rootKey, servers } = extractServers(document);
+    if (!rootKey) {
+      return document;
+    }
+
+    const values = getTemplateValues({
+      platform: this.platform,
+      workspace: options.workspace ? path.resolve(options.workspace) : process.cwd()
+    });
+    return {
+      ...document,
+      [rootKey]: renderServers(servers, values, {
+        keep: [...(client.nativeVariables || []), ...(options.keepVariables || [])],
+        onMissingEnv: options.onMissingEnv
+      })
+    };
+  }
+
+
+  async prepare(action, options, sourceData, removedServers = []) {
+    const { document: loadedData, removed } = sourceData
+      ? { document: sourceData, removed: removedServers }
+      : await this.loadSourceLayers(options);
+    const destination = this.getDestination(options);
+    const existing = await this.readExistingFile(destination);
+    const existingData = existing.data;
+    const client = this.resolveClient(options, existingData, loadedData);
+    const resolvedData = this.renderTemplates(loadedData, client, options);
+
+    const incoming = selectServers(extractServers(resolvedData).servers, options);
+    let servers, base;
+
+    if (action === 'replace') {
+      servers = incoming;
+      base = client.sharedFile ? existingData : withoutServers(resolvedData);
+    } else {
+      const sourceServers = extractServers(resolvedData).servers;
+      const removedNames = Object.keys(selectServers(Object.fromEntries(removed.map(name => [name, null])), { exclude: options.exclude }));
+      const existingServers = Object.fromEntries(
+        Object.entries(extractServers(existingData).servers)
+          .filter(([name]) => !options.mirror || Object.prototype.hasOwnProperty.call(sourceServers, name))
+          .filter(([name]) => !removedNames.includes(name))
+      );
+
+      servers = await mergeServers(existingServers, incoming, {
+        onConflict: options.onConflict,
+        resolveConflict: (name, existingEntry, incomingEntry) => this.askConflict(name, existingEntry, incomingEntry)
+      });
+      base = client.sharedFile
+        ? existingData
+        : this.deepMerge(withoutServers(existingData), withoutServers(resolvedData));
+    }
+
+    const plan = this.createPlan(action, destination, client, existing, writeServers(client, base, servers));
+    const touched = [...plan.diff.added, ...plan.diff.changed].map(item => item.name);
+    plan.findings = await preflightServers(Object.fromEntries(touched.map(name => [name, servers[name]])));
+    return plan;
+  }
+
+
+  async readServers(options) {
+    const existingData = await this.readExistingConfig(this.getDestination(options));
+    return extractServers(existingData).servers;
+  }
+
+
+  async prepareRemove(names, options) {
+    const destination = this.getDestination(options);
+    const existing = await this.readExistingFile(destination);
+    const client = this.resolveClient(options, existing.data);
+    const servers = removeServers(extractServers(existing.data).servers, parseServerList(names) || []);
+
+    return this.createPlan('remove', destination, client, existing, writeServers(client, existing.data, servers));
+  }
+
+
+  async applyPlan(plan, options) {
+    const messages = {
+      replace: ['Writing configuration file...', 'Configuration replaced at', 'Failed to write configuration'],
+      merge: ['Merging and writing configuration...', 'Configuration merged at', 'Failed to merge configuration'],
+      remove: ['Removing servers from configuration...', 'Servers removed from', 'Failed to remove servers']
+    };
+    const [pending, done, failed] = messages[plan.action];
+
+    await this.ensureDestinationDir(plan.destination);
+    await withFileLock(plan.destination, async () => {
+      const { content } = await this.readExistingFile(plan.destination);
+      if (content !== plan.existingContent) {
+        throw new McpError('SYNC_CONFLICT', `${plan.destination} changed while this update was being prepared; run the command again`);
+      }
+
+      await this.backupExisting(plan.destination, options);
+
+      const spinner = this.reporter.spinner(pending);
+      try {
+        await writeFileAtomic(plan.destination, formatJsonc(plan.existingContent, plan.existingData, plan.outputData));
+        spinner.succeed(`${done}: ${plan.destination}`);
+      } catch (error) {
+        spinner.fail(failed);
+        throw error;
+      }
+    });
+  }
+
+
+  checkPreflight(plan, options, warned = new Set()) {
+    for (const finding of plan.findings) {
+      const message = `${finding.server} ${finding.field}: ${finding.message}`;
+      if (!warned.has(message)) {
+        this.reporter.warn(message);
+        warned.add(message);
+      }
+    }
+
+    if (options.strict && plan.findings.length > 0) {
+      throw new McpError('PREFLIGHT_FAILED', `Preflight checks found ${plan.findings.length} problem${plan.findings.length === 1 ? '' : 's'}; ${plan.destination} was not written (--strict)`, plan.findings);
+    }
+  }
+
+
+  async replace(options) {
+    const plan = await this.prepare('replace', options);
+    this.checkPreflight(plan, options);
+    if (!options.dryRun) {
+      await this.applyPlan(plan, options);
+
+      const sources = this.getSourceLayers(options);
+      if (sources.length === 1 && sources[0].gist && !options.only && !options.exclude) {
+        const { id, fileName } = this.gistIdToConfig(this.getGistInput({ ...options, gist: sources[0].gist }));
+        await this.trackLink(options, { gist: id, fileName, revision: options.revision });
+      }
+    }
+    return plan;
+  }
+
+
+  async merge(options) {
+    const plan = await this.prepare('merge', options);
+    this.checkPreflight(plan, options);
+    if (!options.dryRun) {
+      await this.applyPlan(plan, options);
+    }
+    return plan;
+  }
+
+
+  getLinkKey(options) {
+    const target = options.destination || options.source;
+    if (target) {
+      return path.resolve(target);
+    }
+    if (!options.type) {
+      throw new McpError('INVALID_ARGUMENT', 'Either --type or --destination must be provided');
+    }
+    return getClient(options.type).id;
+  }
+
+
+  getLinkTarget(link) {
+    return {
+      type: link.type || undefined,
+      destination: link.destination || undefined,
+      path: link.destination || this.getDefaultPath(link.type)
+    };
+  }
+
+
+  async readLocalServers(filePath) {
+    try {
+      return extractServers(parseJsonc(await fs.readFile(filePath, 'utf8'), filePath)).servers;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+
+  getGistRevision(gistData) {
+    return gistData.history && gistData.history[0] ? gistData.history[0].version : null;
+  }
+
+
+  async trackLink(options, { gist, fileName, revision }) {
+    try {
+      const key = this.getLinkKey(options);
+      const target = options.destination || options.source;
+      const localPath = target ? path.resolve(target) : this.getDefaultPath(options.type);
+      let resolvedFileName = fileName;
+      let resolvedRevision = revision;
+
+      if (!resolvedFileName || !resolvedRevision) {
+        const gistData = await this.fetchGist(gist);
+        resolvedFileName = resolvedFileName || this.pickGistFile(gistData).filename;
+        resolvedRevision = resolvedRevision || this.getGistRevision(gistData);
+      }
+
+      return await updateLink(this.stateFile, key, {
+        type: options.type ? getClient(options.type).id : null,
+        destination: target ? localPath : null,
+        gist,
+        fileName: resolvedFileName,
+        revision: resolvedRevision,
+        localHash: hashServers(await this.readLocalServers(localPath))
+      });
+    } catch (error) {
+      this.reporter.warn(`Could not record the sync link for this configuration: ${error.message}`);
+      return null;
+    }
+  }
+
+
+  async selectLinks(options) {
+    const { links } = await readState(this.stateFile);
+
+    if (options.type || options.destination) {
+      const key = this.getLinkKey(options);
+      if (!links[key]) {
+        throw new McpError('NOT_FOUND', `No sync link for ${key}. Run 'portable-mcp store' or 'portable-mcp replace --gist <id>' first`);
+      }
+      return [[key, links[key]]];
+    }
+
+    const entries = Object.entries(links);
+    if (entries.length === 0) {
+      throw new McpError('NOT_FOUND', 'No sync links found. Run \'portable-mcp store\' or \'portable-mcp replace --gist <id>\' first');
+    }
+    return entries;
+  }
+
+
+  async hasRemoteFileChanged(link, remoteRevision) {
+    if (!link.revision) {
+      return true;
+    }
+
+    const [synced, remote] = await Promise.all([
+      this.readGistRevisionFile(link.gist, link.fileName, link.revision),
+      this.readGistRevisionFile(link.gist, link.fileName, remoteRevision)
+    ]);
+    if (!synced || !remote || synced.encrypted !== remote.encrypted) {
+      return true;
+    }
+    return synced.encrypted
+      ? synced.ciphertext !== remote.ciphertext
+      : hashServers(synced.servers) !== hashServers(remote.servers);
+  }
+
+
+  async getRemoteEncryption(link) {
+    const file = (await this.fetchGist(link.gist)).files[link.fileName];
+    if (!file) {
+      return null;
+    }
+
+    try {
+      const response = await fetch(file.raw_url);
+      const document = response.ok ? JSON.parse(await response.text()) : null;
+      return isEncryptedEnvelope(document) ? getSecretKind(document) : null;
+    } catch {
+      return null;
+    }
+  }
+
+
+  async getLinkStatus(key, link) {
+    const target = this.getLinkTarget(link);
+    const localServers = await this.readLocalServers(target.path);
+    const remoteRevision = this.getGistRevision(await this.fetchGist(link.gist));
+
+    const localChanged = !localServers || hashServers(localServers) !== link.localHash;
+    const remoteChanged = remoteRevision !== link.revision && await this.hasRemoteFileChanged(link, remoteRevision);
+
+    let state = 'in-sync';
+    if (localChanged && remoteChanged) {
+      state = 'diverged';
+    } else if (localChanged) {
+      state = 'local-changed';
+    } else if (remoteChanged) {
+      state = 'remote-changed';
+    }
+
+    return { key, link, path: target.path, localMissing: !localServers, localChanged, remoteChanged, remoteRevision, state };
+  }
+
+
+  async status(options = {}) {
+    const spinner = this.reporter.spinner('Checking sync status...');
+
+    try {
+      const statuses = [];
+      for (const [key, link] of await this.selectLinks(options)) {
+        statuses.push(await this.getLinkStatus(key, link));
+      }
+      spinner.succeed('Sync status checked');
+      return statuses;
+    } catch (error) {
+      spinner.fail('Failed to check sync status');
+      throw error;
+    }
+  }
+
+
+  async push(options = {}) {
+    const results = [];
+
+    for (const [key, link] of await this.selectLinks(options)) {
+      const status = await this.getLinkStatus(key, link);
+
+      if (status.state === 'diverged' && !options.force) {
+        throw new McpError('SYNC_CONFLICT', `Both ${key} and Gist ${link.gist} changed since the last sync. Run 'portable-mcp pull --force' to take the Gist version, or 'portable-mcp push --force' to keep your local changes`);
+      }
+      if (!status.localChanged && !options.force) {
+        results.push({ ...status, action: 'skipped' });
+        continue;
+      }
+
+      const target = this.getLinkTarget(link);
+      await this.store({
+        ...options,
+        type: target.type,
+        source: target.destination,
+        gist: `${link.gist}/${link.fileName}`,
+        encrypt: options.encrypt || await this.getRemoteEncryption(link)
+      });
+      results.push({ ...status, action: 'pushed' });
+    }
+
+    return results;
+  }
+
+
+  async pull(options = {}) {
+    const results = [];
+
+    for (const [key, link] of await this.selectLinks(options)) {
+      const status = await this.getLinkStatus(key, link);
+
+      if (status.state === 'diverged' && !options.force) {
+        throw new McpError('SYNC_CONFLICT', `Both ${key} and Gist ${link.gist} changed since the last sync. Run 'portable-mcp pull --force' to take the Gist version, or 'portable-mcp push --force' to keep your local changes`);
+      }
+      if (!status.remoteChanged && !options.force) {
+        results.push({ ...status, action: 'skipped' });
+        continue;
+      }
+
+      const target = this.getLinkTarget(link);
+      await this.replace({
+        ...options,
+        type: target.type,
+        destination: target.destination,
+        gist: `${link.gist}/${link.fileName}`
+      });
+      results.push({ ...status, action: 'pulled' });
+    }
+
+    return results;
+  }
+
+
+  async sync(options) {
+    const source = getClient(options.from);
+    const targets = (parseServerList(options.to) || []).map(type => getClient(type));
+
+    if (targets.length === 0) {
+      throw new McpError('INVALID_ARGUMENT', 'At least one --to client must be provided');
+    }
+    if (targets.some(target => target.id === source.id)) {
+      throw new McpError('INVALID_ARGUMENT', `Cannot sync ${source.name} into itself`);
+    }
+
+    const sourcePath = this.getDefaultPath(source.id);
+    const spinner = this.reporter.spinner(`Reading ${source.name} configuration...`);
+    let sourceData;
+    try {
+      const content = await fs.readFile(sourcePath, 'utf8');
+      sourceData = { mcpServers: extractServers(parseJsonc(content, sourcePath)).servers };
+      assertValidConfig(sourceData, sourcePath);
+      spinner.succeed(`Loaded ${Object.keys(sourceData.mcpServers).length} servers from ${source.name}`);
+    } catch (error) {
+      spinner.fail(`Failed to read ${source.name} configuration`);
+      throw new McpError(getErrorCode(error), `Cannot read source configuration: ${sourcePath}. ${error.message}`);
+    }
+
+    const plans = [];
+    for (const target of targets) {
+      const targetOptions = { ...options, type: target.id, destination: undefined };
+      const plan = await this.prepare('merge', targetOptions, sourceData);
+      if (!options.dryRun) {
+        await this.applyPlan(plan, targetOptions);
+      }
+      plans.push(plan);
+    }
+
+    return plans;
+  }
+
+
+  async convert(options) {
+    const from = options.from ? getClient(options.from) : null;
+    const source = options.source || (from ? this.getDefaultPath(from.id) : null);
+    if (!source) {
+      throw new McpError('INVALID_ARGUMENT', 'Either --from or --source must be provided');
+    }
+    if (!options.to) {
+      throw new McpError('INVALID_ARGUMENT', '--to must be provided');
+    }
+
+    const exporter = getExporter(options.to);
+    const target = exporter ? null : getClientIds().includes(options.to.toLowerCase()) && getClient(options.to);
+    if (!exporter && !target) {
+      throw new McpError('UNSUPPORTED', `Unsupported format: ${options.to}. Supported formats: ${McpManager.getConvertFormats().join(', ')}`);
+    }
+
+    let content;
+    try {
+      content = await fs.readFile(source, 'utf8');
+    } catch (error) {
+      throw new McpError(getErrorCode(error), `Cannot read source configuration: ${source}. ${error.message}`);
+    }
+
+    const document = await this.decryptDocument(parseJsonc(content, source), options, source);
+    const { rootKey, servers: allServers } = extractServers(document);
+    if (!rootKey) {
+      throw new McpError('INVALID_CONFIG', `No MCP servers found in ${source}`);
+    }
+    const servers = selectServers(allServers, options);
+
+    const rendered = exporter
+      ? exporter.render(servers, options)
+      : { content: JSON.stringify(writeServers(target, {}, servers), null, 2), skipped: [] };
+    for (const { server, reason } of rendered.skipped) {
+      this.reporter.warn(`Skipped ${server}: ${reason}`);
+    }
+
+    if (options.output) {
+      if (!options.force && await fs.access(options.output).then(() => true, () => false)) {
+        throw new McpError('INVALID_ARGUMENT', `${options.output} already exists; use --force to overwrite it`);
+      }
+
+      await this.ensureDestinationDir(options.output);
+      await withFileLock(options.output, () => writeFileAtomic(options.output, rendered.content));
+    }
+
+    const skippedNames = new Set(rendered.skipped.map(item => item.server));
+    return {
+      source,
+      from: from ? from.id : null,
+      to: exporter ? exporter.id : target.id,
+      output: options.output || null,
+      servers: Object.keys(servers).filter(name => !skippedNames.has(name)),
+      skipped: rendered.skipped,
+      content: rendered.content
+    };
+  }
+
+
+  async findMissingEnv(required, options) {
+    if (required.length === 0) {
+      return [];
+    }
+
+    const fileValues = await readSecretsFile(options.secretsFile || this.secretsFile);
+    return required.filter(({ name }) => !process.env[name] && !fileValues[name]);
+  }
+
+
+  async install(options = {}) {
+    const manifestPath = options.manifest ? path.resolve(options.manifest) : await findManifest();
+    if (!manifestPath) {
+      throw new McpError('NOT_FOUND', `No ${MANIFEST_FILE} found in ${process.cwd()} or its parent directories`);
+    }
+
+    const manifest = await readManifest(manifestPath);
+    const root = path.dirname(manifestPath);
+    const types = parseServerList(options.type) || manifest.clients || [];
+    if (types.length === 0) {
+      throw new McpError('INVALID_ARGUMENT', `No clients to install into. Add "clients" to ${manifestPath} or pass --type`);
+    }
+    const targets = types.map(type => ({
+      type: getClient(type).id,
+      destination: options.global ? undefined : this.getProjectPath(type, root)
+    }));
+
+    const missingEnv = await this.findMissingEnv(getRequiredEnv(manifest), options);
+    for (const { name, description } of missingEnv) {
+      this.reporter.warn(`Required environment variable ${name} is not set${description ? ` (${description})` : ''}`);
+    }
+    if (options.strict && missingEnv.length > 0) {
+      throw new McpError('INPUT_REQUIRED', `Missing required environment variables: ${missingEnv.map(item => item.name).join(', ')} (--strict)`, missingEnv);
+    }
+
+    const project = !options.global;
+    const { document: sourceData, removed } = await this.loadSourceLayers({ ...options, sources: getManifestSources(manifest, root), keepPlaceholders: project });
+
+    const plans = [];
+    const warned = new Set();
+    const onMissingEnv = options.strict ? undefined : (name, placeholder) => {
+      const message = `Environment variable ${name} is not set; ${placeholder} was left unexpanded`;
+      if (!missingEnv.some(item => item.name === name) && !warned.has(message)) {
+        this.reporter.warn(message);
+        warned.add(message);
+      }
+    };
+    for (const target of targets) {
+      const targetOptions = {
+        ...options,
+        ...target,
+        workspace: options.workspace || root,
+        keepVariables: project ? ['env', 'workspaceFolder'] : [],
+        onMissingEnv
+      };
+      const targetData = project ? this.toProjectPlaceholders(sourceData, getClient(target.type)) : sourceData;
+      const plan = await this.prepare('merge', targetOptions, targetData, removed);
+      this.checkPreflight(plan, targetOptions, warned);
+      if (project) {
+        this.checkProjectSecrets(plan);
+      }
+      plans.push(plan);
+    }
+
+    if (!options.dryRun) {
+      for (const [index, plan] of plans.entries()) {
+        await this.applyPlan(plan, { ...options, ...targets[index] });
+      }
+    }
+
+    return { manifest: manifestPath, root, scope: options.global ? 'user' : 'project', missingEnv, plans };
+  }
+
+
+  toProjectPlaceholders(document, client) {
+    const { rootKey, servers } = extractServers(document);
+    return rootKey ? { ...document, [rootKey]: toNativeVariables(servers, client.nativeVariables) } : document;
+  }
+
+
+  checkProjectSecrets(plan) {
+    const { servers } = extractServers(plan.outputData);
+    const touched = [...plan.diff.added, ...plan.diff.changed].map(item => item.name);
+    const found = findSecrets(Object.fromEntries(touched.map(name => [name, servers[name]])));
+    if (found.length > 0) {
+      const names = found.map(secret => `${secret.server}.${secret.field}.${secret.key}`).join(', ');
+      this.reporter.warn(`Writing secret values into project file ${plan.destination} (${names}); replace them with \${VAR} placeholders before committing it`);
+    }
+
+    const native = plan.client.nativeVariables || [];
+    const placeholders = [...new Set(JSON.stringify(touched.map(name => servers[name])).match(/\$\{[^}]+\}/g))];
+    if (placeholders.length > 0 && !native.includes('env') && !native.includes('var')) {
+      this.reporter.info(`${plan.destination} keeps ${placeholders.join(', ')} unexpanded so no machine-specific values or secrets are written to the project; use --global to write the resolved values`);
+    }
+  }
+
+
+  async remove(names, options) {
+    const plan = await this.prepareRemove(names, options);
+    if (!options.dryRun) {
+      await this.applyPlan(plan, options);
+    }
+    return plan;
+  }
+
+
+  async loadCatalogs(options = {}) {
+    for (const { file, optional } of getCatalogFiles(options)) {
+      await loadCatalogFile(file, { optional });
+    }
+  }
+
+
+  async searchCatalog(query, options = {}) {
+    await this.loadCatalogs(options);
+    return searchCatalog(query);
+  }
+
+
+  async promptForInputs(name, inputs) {
+    this.reporter.info(`${name} needs: ${inputs.map(input => input.name).join(', ')}`);
+
+    return await inquirer.prompt(inputs.map(input => ({
+      type: input.secret ? 'password' : 'input',
+      name: input.name,
+      mask: '*',
+      message: `${input.description || input.name}:`,
+      default: input.default,
+      validate: value => (value.trim() ? true : `${input.name} is required`)
+    })));
+  }
+
+
+  async resolveInputs(entry, options) {
+    const provided = parseAssignments(options.set);
+    const unknown = Object.keys(provided).filter(name => !entry.inputs.some(input => input.name === name));
+    if (unknown.length > 0) {
+      throw new McpError('INVALID_ARGUMENT', `Unknown input for ${entry.name}: ${unknown.join(', ')}. Inputs: ${entry.inputs.map(input => input.name).join(', ') || 'none'}`);
+    }
+
+    const secretsFile = options.secretsFile || this.secretsFile;
+    const fileValues = await readSecretsFile(secretsFile);
+    const values = {};
+    const missing = [];
+
+    for (const input of entry.inputs) {
+      const value = provided[input.name] ?? process.env[input.name] ?? fileValues[input.name];
+      if (value === undefined) {
+        missing.push(input);
+      } else {
+        values[input.name] = value;
+      }
+    }
+
+    if (missing.length > 0 && this.interactive) {
+      Object.assign(values, await this.promptForInputs(entry.name, missing));
+    } else if (missing.length > 0) {
+      const required = missing.filter(input => input.default === undefined);
+      if (required.length > 0) {
+        throw new McpError('INPUT_REQUIRED', `Missing values for ${entry.name}: ${required.map(input => input.name).join(', ')}. Pass them with --set NAME=value or set them in the environment or in ${secretsFile}`);
+      }
+      missing.forEach(input => { values[input.name] = input.default; });
+    }
+
+    return values;
+  }
+
+
+  async prepareAdd(name, options) {
+    await this.loadCatalogs(options);
+    const entry = getCatalogEntry(name);
+    const values = await this.resolveInputs(entry, options);
 
-    if (gistInput.includes('/')) {
-      [gistId, fileName] = gistInput.split('/');
-    } else {
-      gistId = gistInput;
+    const sourceData = { mcpServers: { [options.name || entry.name]: buildServerEntry(entry, values) } };
+    assertValidConfig(sourceData, `catalog entry ${entry.name}`);
+    return await this.prepare('merge', { ...options, onConflict: options.onConflict || 'ask' }, sourceData);
+  }
+
+
+  async add(name, options) {
+    const plan = await this.prepareAdd(name, options);
+    this.checkPreflight(plan, options);
+    if (!options.dryRun) {
+      await this.applyPlan(plan, options);
     }
+    return plan;
+  }
 
-    const spinner = ora('Fetching Gist information...').start();
 
-    try {
+  async doctor(options = {}) {
+    const destination = this.getDestination(options);
+    const servers = await this.readLocalServers(destination);
+    if (!servers) {
+      throw new McpError('NOT_FOUND', `Configuration file not found: ${destination}`);
+    }
 
-      const gistUrl = `https://api.github.com/gists/${gistId}`;
-      const headers = {};
+    const timeout = Number(options.timeout || 10000);
+    if (!Number.isInteger(timeout) || timeout <= 0) {
+      throw new McpError('INVALID_ARGUMENT', `Invalid timeout: ${options.timeout}. Use a number of milliseconds`);
+    }
 
-      if (this.githubToken) {
-        headers.Authorization = `token ${this.githubToken}`;
+    const results = [];
+    for (const [name, entry] of Object.entries(selectServers(servers, options))) {
+      if (entry.disabled === true) {
+        results.push({ name, transport: null, status: 'skipped', durationMs: 0, error: 'Server is disabled' });
+        continue;
       }
 
-      const response = await fetch(gistUrl, { headers });
-      if (!response.ok) {
-        throw new Error(`Failed to fetch gist: ${response.status} ${response.statusText}`);
+      const spinner = this.reporter.spinner(`Checking ${name}...`);
+      const result = { name, ...await probeServer(entry, { timeout }) };
+      if (result.status === 'pass') {
+        spinner.succeed(`${name} responded in ${result.durationMs}ms`);
+      } else {
+        spinner.fail(`${name} failed: ${result.error}`);
       }
+      results.push(result);
+    }
 
-      const gistData = await response.json();
-      const files = Object.keys(gistData.files);
-
-      if (files.length === 0) {
-        throw new Error('Gist contains no files');
-      }
+    return { destination, results, ok: results.every(result => result.status !== 'fail') };
+  }
 
 
-      let targetFile;
-      if (fileName) {
-        targetFile = gistData.files[fileName];
-        if (!targetFile) {
-          throw new Error(`File '${fileName}' not found in gist. Available files: ${files.join(', ')}`);
-        }
-      } else if (files.length === 1) {
-        targetFile = gistData.files[files[0]];
-      } else {
+  deepMerge(target, source) {
+    const result = { ...target };
 
-        const jsonFiles = files.filter(f => f.endsWith('.json'));
-        if (jsonFiles.length === 1) {
-          targetFile = gistData.files[jsonFiles[0]];
+    for (const key in source) {
+      if (source.hasOwnProperty(key)) {
+        if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
+          result[key] = this.deepMerge(result[key] || {}, source[key]);
         } else {
-          throw new Error(`Multiple files in gist. Please specify filename: ${gistId}/${files.join(' or ' + gistId + '/')}`);
+          result[key] = source[key];
         }
       }
+    }
 
-      spinner.succeed('Gist information fetched');
+    return result;
+  }
 
-      const rawUrl = targetFile.raw_url;
-      return await this.downloadJson(rawUrl);
-    } catch (error) {
-      spinner.fail('Failed to fetch from Gist');
-      throw error;
+
+  async hasGitHubCli() {
+    try {
+      await execFileAsync('gh', ['--version']);
+      return true;
+    } catch {
+      return false;
     }
   }
 
 
-  async getJsonData(options) {
-    if (options.jsonUrl) {
-      return await this.downloadJson(options.jsonUrl);
-    } else if (options.gist) {
-      return await this.downloadFromGist(options.gist);
-    } else {
-      throw new Error('Either --json-url or --gist must be provided');
-    }
+  getTempDir() {
+    return process.env.PORTABLE_MCP_TMP || path.join(os.homedir(), '.tmp', 'portable-mcp');
   }
 
 
-  getDestination(options) {
-    if (options.destination) {
-      return options.destination;
-    } else if (options.type) {
-      return this.getDefaultPath(options.type);
-    } else {
-      throw new Error('Either --type or --destination must be provided');
-    }
+  async writeTempFile(fileName, content) {
+    await fs.mkdir(this.getTempDir(), { recursive: true, mode: 0o700 });
+    const tempDir = await fs.mkdtemp(path.join(this.getTempDir(), 'upload-'));
+    const tempPath = path.join(tempDir, path.basename(fileName));
+    await fs.writeFile(tempPath, content, { encoding: 'utf8', mode: 0o600 });
+    return tempPath;
   }
 
 
-  async ensureDestinationDir(filePath) {
-    const dir = path.dirname(filePath);
-    try {
-      await fs.access(dir);
-    } catch {
-      await fs.mkdir(dir, { recursive: true });
+  makePortablePaths(content) {
+    const document = JSON.parse(content);
+    const { rootKey, servers } = extractServers(document);
+    if (!rootKey) {
+      return content;
     }
-  }
 
+    return JSON.stringify({ ...document, [rootKey]: templatizeHomePaths(servers, { platform: this.platform }) }, null, 2);
+  }
 
-  async replace(options) {
-    const jsonData = await this.getJsonData(options);
-    const destination = this.getDestination(options);
 
-    await this.ensureDestinationDir(destination);
+  async readStoreContent(sourcePath, client) {
+    const content = await fs.readFile(sourcePath, 'utf8');
 
-    const spinner = ora('Writing configuration file...').start();
-    try {
-      await fs.writeFile(destination, JSON.stringify(jsonData, null, 2), 'utf8');
-      spinner.succeed(`Configuration replaced at: ${destination}`);
-    } catch (error) {
-      spinner.fail('Failed to write configuration');
-      throw error;
+    if (!client || (client.rootKey === 'mcpServers' && !client.sharedFile)) {
+      return toStrictJson(content, sourcePath);
     }
+
+    const { servers } = extractServers(parseJsonc(content, sourcePath));
+    return JSON.stringify({ mcpServers: servers }, null, 2);
   }
 
 
-  async merge(options) {
-    const newJsonData = await this.getJsonData(options);
-    const destination = this.getDestination(options);
+  async protectSecrets(content, options, storageName = 'gist') {
+    const document = JSON.parse(content);
+    const { rootKey, servers } = extractServers(document);
+    if (!rootKey) {
+      return content;
+    }
 
-    await this.ensureDestinationDir(destination);
+    if (options.keepSecrets || options.encrypt) {
+      const found = findSecrets(servers);
+      if (found.length > 0 && storageName === 'gist' && !options.private && !options.encrypt) {
+        const names = found.map(secret => `${secret.server}.${secret.field}.${secret.key}`).join(', ');
+        throw new McpError('INVALID_ARGUMENT', `Refusing to upload raw secrets to a public Gist (${names}). Use --private or remove --keep-secrets`);
+      }
+      return content;
+    }
 
-    const spinner = ora('Merging and writing configuration...').start();
-    try {
-      let existingData = {};
+    const secretsFile = options.secretsFile || this.secretsFile;
+    const { servers: safeServers, secrets } = extractSecrets(servers, await readSecretsFile(secretsFile));
+    if (secrets.length === 0) {
+      return content;
+    }
+
+    await saveSecrets(secretsFile, Object.fromEntries(secrets.map(secret => [secret.variable, secret.value])));
+    this.reporter.info(`Replaced ${secrets.length} secret${secrets.length === 1 ? '' : 's'} with placeholders (${secrets.map(secret => secret.variable).join(', ')}); values saved to ${secretsFile}`);
+
+    return JSON.stringify({ ...document, [rootKey]: safeServers }, null, 2);
+  }
 
-      try {
-        const existingContent = await fs.readFile(destination, 'utf8');
-        existingData = JSON.parse(existingContent);
-      } catch {
 
+  getStoreTargets(options) {
+    const types = parseServerList(options.type) || [];
+    const { fileName: gistFileName } = options.gist ? this.gistIdToConfig(options.gist) : {};
+
+    if (types.length > 1) {
+      if (options.source) {
+        throw new McpError('INVALID_ARGUMENT', '--source cannot be combined with multiple types');
+      }
+      if (options.profile || gistFileName) {
+        throw new McpError('INVALID_ARGUMENT', 'Multiple types are stored as one file per client; drop --profile or the Gist filename');
       }
 
-      const mergedData = this.deepMerge(existingData, newJsonData);
+      return types.map(type => ({
+        type: getClient(type).id,
+        sourcePath: this.getDefaultPath(type),
+        fileName: `${getClient(type).id}.json`
+      }));
+    }
 
-      await fs.writeFile(destination, JSON.stringify(mergedData, null, 2), 'utf8');
-      spinner.succeed(`Configuration merged at: ${destination}`);
-    } catch (error) {
-      spinner.fail('Failed to merge configuration');
-      throw error;
+    if (options.profile && gistFileName) {
+      throw new McpError('INVALID_ARGUMENT', 'Use either --profile or a Gist filename, not both');
     }
-  }
 
+    const sourcePath = options.source || this.getDestination({ type: options.type });
+    return [{
+      type: options.type,
+      sourcePath,
+      fileName: gistFileName || (options.profile ? this.profileFileName(options.profile) : path.basename(sourcePath))
+    }];
+  }
 
-  deepMerge(target, source) {
-    const result = { ...target };
 
-    for (const key in source) {
-      if (source.hasOwnProperty(key)) {
-        if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
-          result[key] = this.deepMerge(result[key] || {}, source[key]);
-        } else {
-          result[key] = source[key];
+  async store(options) {
+    const targets = this.getStoreTargets(options);
+    const storage = getStorageProvider(options.storage);
+    const keyFile = options.keyFile || process.env.PORTABLE_MCP_KEY_FILE;
+    const kind = options.encrypt === 'key' || keyFile ? 'key' : 'passphrase';
+    const secret = options.encrypt ? await this.getEncryptionSecret(kind, options, 'the upload', true) : null;
+    const files = [];
+
+    for (const target of targets) {
+      const client = this.getClientForOptions({ type: target.type });
+      const spinner = this.reporter.spinner(`Reading configuration file ${target.sourcePath}...`);
+      let content;
+      try {
+        content = await this.readStoreContent(target.sourcePath, client);
+        if (options.portablePaths) {
+          content = this.makePortablePaths(content);
         }
+        spinner.succeed(`Configuration file loaded: ${target.sourcePath}`);
+      } catch (error) {
+        spinner.fail('Failed to read configuration file');
+        throw new McpError(getErrorCode(error), `Cannot read source file: ${target.sourcePath}. ${error.message}`);
       }
-    }
 
-    return result;
-  }
+      content = await this.protectSecrets(content, options, storage.name);
+      files.push({
+        fileName: target.fileName,
+        content: secret ? await encryptContent(content, secret) : content
+      });
+    }
 
+    const result = { provider: storage.name, encrypted: Boolean(secret), ...await this.storeWithProvider(storage, files, options) };
 
-  async hasGitHubCli() {
-    try {
-      await execAsync('gh --version');
-      return true;
-    } catch {
-      return false;
+    if (storage.name === 'gist') {
+      for (const target of targets) {
+        await this.trackLink({ ...options, type: target.type, destination: undefined }, {
+          gist: result.id,
+          fileName: target.fileName,
+          revision: result.revision
+        });
+      }
     }
+    return result;
   }
 
 
-  async store(options) {
-    const sourcePath = options.source || this.getDestination({ type: options.type });
+  async storeWithProvider(storage, files, options) {
+    if (storage.name === 'gist') {
+      return await storage.store(files, options, this);
+    }
 
-    const spinner = ora('Reading configuration file...').start();
+    const spinner = this.reporter.spinner(`Storing configuration using ${storage.name} storage...`);
     try {
-      await fs.access(sourcePath);
-      spinner.succeed('Configuration file loaded');
+      const result = await storage.store(files, options, this);
+      spinner.succeed(`Stored configuration using ${storage.name} storage`);
+      return result;
     } catch (error) {
-      spinner.fail('Failed to read configuration file');
-      throw new Error(`Cannot read source file: ${sourcePath}. ${error.message}`);
-    }
-
-    if (this.githubToken) {
-      return await this.storeWithApi(sourcePath, options);
-    } else if (await this.hasGitHubCli()) {
-      return await this.storeWithGhCli(sourcePath, options);
-    } else {
-      throw new Error('Either GITHUB_TOKEN environment variable or authenticated GitHub CLI is required');
+      spinner.fail(`Failed to store configuration using ${storage.name} storage`);
+      throw error;
     }
   }
 
-  async storeWithGhCli(sourcePath, options) {
-    const spinner = ora('Uploading to Gist using GitHub CLI...').start();
+  async storeWithGhCli(files, options) {
+    const spinner = this.reporter.spinner('Uploading to Gist using GitHub CLI...');
+    const filePaths = [];
 
     try {
-      let command;
-      let gistId = options.gist;
+      for (const file of files) {
+        filePaths.push(await this.writeTempFile(file.fileName, file.content));
+      }
 
-      const sourceFileName = path.basename(sourcePath);
+      let gistId = options.gist;
 
       if (options.gist) {
-        const { id, fileName } = this.gistIdToConfig(options.gist);
-        gistId = id;
-        const targetFileName = fileName || sourceFileName;
-        command = `gh gist edit ${id} --filename ${targetFileName} "${sourcePath}"`;
-        await execAsync(command);
+        gistId = this.gistIdToConfig(options.gist).id;
+        for (const [index, file] of files.entries()) {
+          try {
+            await execFileAsync('gh', ['gist', 'edit', gistId, '--filename', file.fileName, filePaths[index]]);
+          } catch {
+            await execFileAsync('gh', ['gist', 'edit', gistId, '--add', filePaths[index]]);
+          }
+        }
       } else {
         const visibility = options.private ? '--secret' : '--public';
-        command = `gh gist create ${visibility} "${sourcePath}"`;
-
-        const { stdout } = await execAsync(command);
+        const { stdout } = await execFileAsync('gh', ['gist', 'create', visibility, ...filePaths]);
         const gistUrl = stdout.trim();
 
         if (gistUrl && gistUrl.includes('gist.github.com')) {
           gistId = gistUrl.split('/').pop();
         } else {
           spinner.fail('Could not determine gist ID from GitHub CLI output');
-          throw new Error('GitHub CLI did not return a valid gist URL. The gist may have been created successfully, but we cannot determine its ID.');
+          throw new McpError('REMOTE_ERROR', 'GitHub CLI did not return a valid gist URL. The gist may have been created successfully, but we cannot determine its ID.');
         }
       }
 
@@ -278,60 +1718,51 @@ export class McpManager {
 
       let username;
       try {
-        const { stdout: userStdout } = await execAsync('gh api user --jq .login');
+        const { stdout: userStdout } = await execFileAsync('gh', ['api', 'user', '--jq', '.login']);
         username = userStdout.trim();
       } catch {
         username = null;
       }
 
-      const { fileName } = options.gist ? this.gistIdToConfig(options.gist) : {};
-      const targetFileName = fileName || sourceFileName;
-
       return {
         id: gistId,
         url: gistId ? `https://gist.github.com/${username ? username + '/' : ''}${gistId}` : null,
-        viewCommand: `gh gist view ${gistId} --filename ${targetFileName}`
+        viewCommand: files.length === 1 ? `gh gist view ${gistId} --filename ${files[0].fileName}` : `gh gist view ${gistId}`,
+        fileName: files[0].fileName,
+        fileNames: files.map(file => file.fileName)
       };
     } catch (error) {
       spinner.fail('Failed to upload using GitHub CLI');
       throw error;
+    } finally {
+      for (const filePath of filePaths) {
+        await fs.rm(path.dirname(filePath), { recursive: true, force: true });
+      }
     }
   }
 
 
-  async storeWithApi(sourcePath, options) {
+  async storeWithApi(files, options) {
     if (!this.githubToken) {
-      throw new Error('GITHUB_TOKEN environment variable is required for API uploads');
+      throw new McpError('AUTH_REQUIRED', 'GITHUB_TOKEN environment variable is required for API uploads');
     }
 
-    const spinner = ora('Uploading to Gist using GitHub API...').start();
+    const spinner = this.reporter.spinner('Uploading to Gist using GitHub API...');
 
     try {
-      const sourceFileName = path.basename(sourcePath);
-      let id = null;
-      let fileName = sourceFileName;
-
-      if (options.gist) {
-        const gistConfig = this.gistIdToConfig(options.gist);
-        id = gistConfig.id;
-        fileName = gistConfig.fileName || sourceFileName;
-      }
+      const id = options.gist ? this.gistIdToConfig(options.gist).id : null;
 
       const gistData = {
-        files: {
-          [fileName]: {
-            content: await fs.readFile(sourcePath, 'utf8')
-          }
-        },
+        files: Object.fromEntries(files.map(file => [file.fileName, { content: file.content }])),
         public: !options.private
       };
 
       let url, method;
       if (id) {
-        url = `https://api.github.com/gists/${id}`;
+        url = `${this.githubApiUrl}/gists/${id}`;
         method = 'PATCH';
       } else {
-        url = 'https://api.github.com/gists';
+        url = `${this.githubApiUrl}/gists`;
         method = 'POST';
       }
 
@@ -345,7 +1776,7 @@ export class McpManager {
       });
 
       if (!response.ok) {
-        throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+        throw new McpError('REMOTE_ERROR', `GitHub API error: ${response.status} ${response.statusText}`);
       }
 
       const result = await response.json();
@@ -354,7 +1785,10 @@ export class McpManager {
       return {
         id: result.id,
         url: result.html_url,
-        viewCommand: `gh gist view ${result.id}`
+        viewCommand: `gh gist view ${result.id}`,
+        fileName: files[0].fileName,
+        fileNames: files.map(file => file.fileName),
+        revision: result.history && result.history[0] ? result.history[0].version : null
       };
     } catch (error) {
       spinner.fail('Failed to upload using GitHub API');
@@ -362,6 +1796,22 @@ export class McpManager {
     }
   }
 
+  profileFileName(profile) {
+    return profile.endsWith('.json') ? profile : `${profile}.json`;
+  }
+
+  getGistInput(options) {
+    if (!options.profile) {
+      return options.gist;
+    }
+
+    const { id, fileName } = this.gistIdToConfig(options.gist);
+    if (fileName) {
+      throw new McpError('INVALID_ARGUMENT', 'Use either --profile or a Gist filename, not both');
+    }
+    return `${id}/${this.profileFileName(options.profile)}`;
+  }
+
   gistIdToConfig(gistInput) {
     const [id, fileName] = gistInput.split('/');
     return {
@@ -372,13 +1822,324 @@ export class McpManager {
 
   static displayStoreResult(result, isInteractive = false) {
     const prefix = isInteractive ? '\n' : '';
-    console.log(chalk.green(`${prefix}✅ ${isInteractive ? 'Successfully uploaded to Gist!' : 'Configuration uploaded to Gist!'}`));
-    console.log(chalk.blue('📋 Gist ID:'), result.id);
+    const isGist = !result.provider || result.provider === 'gist';
+
+    if (isGist) {
+      console.log(chalk.green(`${prefix}✅ ${isInteractive ? 'Successfully uploaded to Gist!' : 'Configuration uploaded to Gist!'}`));
+      console.log(chalk.blue('📋 Gist ID:'), result.id);
+    } else {
+      console.log(chalk.green(`${prefix}✅ Configuration stored using ${result.provider} storage!`));
+      console.log(chalk.blue('📋 Location:'), result.id);
+    }
+
+    const fileNames = result.fileNames || [];
+    if (fileNames.length > 1) {
+      console.log(chalk.blue('📄 Files:'), fileNames.join(', '));
+    }
+
+    if (result.encrypted) {
+      console.log(chalk.blue('🔒 Encrypted:'), 'reading it back needs the same passphrase or --key-file');
+    }
+
     if (result.viewCommand) {
       console.log(chalk.blue('👀 View with:'), chalk.white(result.viewCommand));
       if (isInteractive) {
-        console.log(chalk.gray('\n💡 Use the view command above to see the gist content'));
+        console.log(chalk.gray(`\n💡 Use the view command above to see the ${isGist ? 'gist' : 'stored'} content`));
+      }
+    }
+
+    if (isGist && fileNames.length > 1) {
+      console.log(chalk.blue('📥 Apply with:'), chalk.white(`portable-mcp replace --gist ${result.id} --profile <profile> --type <type>`));
+    } else if (!isGist && fileNames.length <= 1) {
+      console.log(chalk.blue('📥 Read back with:'), chalk.white(`portable-mcp replace --json-url "${result.id}" --type <type>`));
+    }
+  }
+
+  static getStorageHelp() {
+    return getStorageProviderNames().join('|');
+  }
+
+  static displayDetectResult(results) {
+    console.log(chalk.blue('\n🔍 MCP client configurations:'));
+    for (const result of results) {
+      const label = `${result.name} (${result.type})`;
+      if (!result.exists) {
+        console.log(chalk.gray(`  ✖ ${label} - not found`));
+      } else if (result.serverCount === null) {
+        console.log(chalk.yellow(`  ⚠ ${label} - ${result.error}`));
+      } else {
+        const servers = `${result.serverCount} server${result.serverCount === 1 ? '' : 's'}`;
+        console.log(chalk.green(`  ✔ ${label} - ${servers}`));
+      }
+      if (result.path) {
+        console.log(chalk.gray(`    ${result.path}`));
+      }
+    }
+  }
+
+  static formatDiffValue(value) {
+    return value === undefined ? chalk.gray('(none)') : JSON.stringify(value);
+  }
+
+  static displayDiff(plan) {
+    const { diff } = plan;
+    const rootKey = plan.client ? plan.client.rootKey : 'mcpServers';
+
+    console.log(chalk.blue(`\n📝 Changes to ${rootKey} in ${plan.destination}:`));
+
+    if (!hasChanges(diff)) {
+      console.log(chalk.gray('  No server changes'));
+      return;
+    }
+
+    for (const { name, entry } of diff.added) {
+      const summary = entry && (entry.url || [entry.command, ...(entry.args || [])].filter(Boolean).join(' '));
+      console.log(chalk.green(`  + ${name}`) + chalk.gray(summary ? `  ${summary}` : ''));
+    }
+
+    for (const { name } of diff.removed) {
+      console.log(chalk.red(`  - ${name}`));
+    }
+
+    for (const { name, fields } of diff.changed) {
+      console.log(chalk.yellow(`  ~ ${name}`));
+      for (const { field, before, after } of fields) {
+        const label = field || '(entry)';
+        console.log(`      ${chalk.white(label)}: ${chalk.red(McpManager.formatDiffValue(before))} → ${chalk.green(McpManager.formatDiffValue(after))}`);
+      }
+    }
+
+    if (diff.unchanged.length > 0) {
+      console.log(chalk.gray(`  ${diff.unchanged.length} unchanged`));
+    }
+  }
+
+  static serializePlan(plan, dryRun = false) {
+    return {
+      action: plan.action,
+      destination: plan.destination,
+      client: plan.client ? plan.client.id : null,
+      dryRun,
+      added: plan.diff.added.map(({ name }) => name),
+      removed: plan.diff.removed.map(({ name }) => name),
+      changed: plan.diff.changed.map(({ name, fields }) => ({ name, fields: fields.map(({ field }) => field || null) })),
+      unchanged: plan.diff.unchanged,
+      findings: plan.findings
+    };
+  }
+
+  static displayExplain(result) {
+    console.log(chalk.blue(`\n🔎 ${result.name}`));
+    console.log(chalk.gray(`  Layers (lowest to highest precedence): ${result.layers.join(' → ')}`));
+
+    if (result.state === 'removed') {
+      console.log(chalk.red(`  Removed by ${result.removedBy}`));
+      return;
+    }
+    if (result.state === 'disabled') {
+      console.log(chalk.yellow(`  Disabled by ${result.origins.disabled} - it will not be written`));
+    }
+
+    const fields = Object.entries(result.entry).flatMap(([key, value]) => (
+      result.origins[key] === undefined && value && typeof value === 'object' && !Array.isArray(value)
+        ? Object.entries(value).map(([subKey, item]) => [`${key}.${subKey}`, item])
+        : [[key, value]]
+    ));
+    const width = Math.max(...fields.map(([field]) => field.length));
+    for (const [field, value] of fields) {
+      console.log(`  ${chalk.cyan(field.padEnd(width))}  ${McpManager.formatDiffValue(value)}  ${chalk.gray(`← ${result.origins[field]}`)}`);
+    }
+  }
+
+  static displayDoctorResult(report) {
+    if (report.results.length === 0) {
+      console.log(chalk.gray(`No servers configured in ${report.destination}.`));
+      return;
+    }
+
+    const rows = report.results.map(result => [
+      result.name,
+      result.status.toUpperCase(),
+      result.transport || '-',
+      result.status === 'pass' ? String(result.tools.length) : '-',
+      result.status === 'pass' ? String(result.resources.length) : '-',
+      result.status === 'pass' ? String(result.prompts.length) : '-',
+      result.status === 'pass'
+        ? `${result.serverInfo ? `${result.serverInfo.name} ${result.serverInfo.version || ''}`.trim() : 'unknown server'} (${result.durationMs}ms)`
+        : result.error
+    ]);
+    const header = ['Server', 'Status', 'Transport', 'Tools', 'Resources', 'Prompts', 'Details'];
+    const widths = header.map((title, index) => Math.max(title.length, ...rows.map(row => row[index].length)));
+    const colors = { PASS: chalk.green, FAIL: chalk.red, SKIPPED: chalk.gray };
+    const format = (row) => row.map((cell, index) => (index === row.length - 1 ? cell : cell.padEnd(widths[index]))).join('  ');
+
+    console.log(chalk.blue(`\n🩺 MCP servers in ${report.destination}:`));
+    console.log(chalk.gray(`  ${format(header)}`));
+    for (const row of rows) {
+      const line = format(row);
+      const statusStart = widths[0] + 2;
+      console.log(`  ${line.slice(0, statusStart)}${colors[row[1]](line.slice(statusStart, statusStart + widths[1]))}${line.slice(statusStart + widths[1])}`);
+    }
+
+    const failed = report.results.filter(result => result.status === 'fail').length;
+    if (failed > 0) {
+      console.log(chalk.red(`\n❌ ${failed} of ${report.results.length} server${report.results.length === 1 ? '' : 's'} failed the health check`));
+    } else {
+      console.log(chalk.green('\n✅ All servers passed the health check'));
+    }
+  }
+
+  static displayPreflight(findings) {
+    if (findings.length === 0) {
+      return;
+    }
+
+    console.log(chalk.yellow(`\n⚠️  Preflight found ${findings.length} potential problem${findings.length === 1 ? '' : 's'}:`));
+    for (const finding of findings) {
+      console.log(`  ${chalk.white(finding.server)} ${chalk.gray(finding.field)}: ${finding.message}`);
+    }
+  }
+
+  static displayValidationResult(result) {
+    if (result.valid) {
+      const servers = `${result.serverCount} server${result.serverCount === 1 ? '' : 's'}`;
+      console.log(chalk.green(`✅ Valid MCP configuration (${servers}):`), result.source);
+      return;
+    }
+
+    console.error(chalk.red('❌ Invalid MCP configuration:'), result.source);
+    for (const error of result.errors) {
+      console.error(`  ${chalk.yellow(error.path)}: ${error.message}`);
+    }
+  }
+
+  static displayGists(gists) {
+    if (gists.length === 0) {
+      console.log(chalk.gray('No Gists with MCP configurations found.'));
+      return;
+    }
+
+    console.log(chalk.blue('\n📝 Gists with MCP configurations:'));
+    for (const gist of gists) {
+      const visibility = gist.public ? 'public' : 'secret';
+      console.log(`  ${chalk.white(gist.id)} ${chalk.gray(`(${visibility}, updated ${new Date(gist.updatedAt).toLocaleString()})`)}`);
+      if (gist.description) {
+        console.log(chalk.gray(`    ${gist.description}`));
+      }
+      for (const file of gist.files) {
+        const summary = file.encrypted ? '🔒 encrypted' : file.servers.join(', ') || 'no servers';
+        console.log(`    ${chalk.cyan(file.name)} ${chalk.gray(`- ${summary}`)}`);
+      }
+    }
+  }
+
+  static displayProfiles(result) {
+    if (result.profiles.length === 0) {
+      console.log(chalk.gray(`No MCP configurations found in Gist ${result.id}.`));
+      return;
+    }
+
+    console.log(chalk.blue(`\n🗂️  Profiles in Gist ${result.id}:`));
+    if (result.description) {
+      console.log(chalk.gray(`  ${result.description}`));
+    }
+    for (const profile of result.profiles) {
+      const summary = profile.encrypted ? '🔒 encrypted' : profile.servers.join(', ') || 'no servers';
+      console.log(`  ${chalk.cyan(profile.name)} ${chalk.gray(`(${profile.fileName}) - ${summary}`)}`);
+    }
+    console.log(chalk.gray(`\n💡 Apply one with: portable-mcp replace --gist ${result.id} --profile <profile> --type <type>`));
+  }
+
+  static displayCatalog(entries) {
+    if (entries.length === 0) {
+      console.log(chalk.gray('No catalog servers match.'));
+      return;
+    }
+
+    console.log(chalk.blue('\n🧩 Catalog servers:'));
+    for (const entry of entries) {
+      const source = entry.source === 'built-in' ? '' : chalk.gray(` (${entry.source})`);
+      console.log(`  ${chalk.cyan(entry.name)}${source} - ${entry.description || chalk.gray('no description')}`);
+      if (entry.inputs.length > 0) {
+        console.log(chalk.gray(`      inputs: ${entry.inputs.map(input => input.name).join(', ')}`));
+      }
+    }
+    console.log(chalk.gray('\n💡 Add one with: portable-mcp add <name> --type <type>'));
+  }
+
+  static displayConvertResult(result) {
+    console.log(chalk.green(`✅ Converted ${result.servers.length} server${result.servers.length === 1 ? '' : 's'} to ${result.to}: ${result.output}`));
+    if (result.skipped.length > 0) {
+      console.log(chalk.yellow(`⚠️  Skipped: ${result.skipped.map(item => item.server).join(', ')}`));
+    }
+  }
+
+  static displayLinkStatus(statuses) {
+    const labels = {
+      'in-sync': chalk.green('✔ in sync'),
+      'local-changed': chalk.yellow('↑ local changes'),
+      'remote-changed': chalk.yellow('↓ remote changes'),
+      diverged: chalk.red('⚠ both changed')
+    };
+
+    console.log(chalk.blue('\n🔗 Sync links:'));
+    for (const status of statuses) {
+      const action = status.action ? chalk.gray(` (${status.action})`) : '';
+      console.log(`  ${chalk.white(status.key)} ${labels[status.state]}${action}`);
+      console.log(chalk.gray(`    Gist ${status.link.gist}/${status.link.fileName} - last synced ${new Date(status.link.syncedAt).toLocaleString()}`));
+      if (status.localMissing) {
+        console.log(chalk.gray(`    Local file is missing: ${status.path}`));
+      }
+    }
+  }
+
+  static displayHistory(result) {
+    console.log(chalk.blue(`\n🕘 History of ${result.gistId}/${result.fileName}:`));
+
+    for (const entry of result.entries) {
+      const author = entry.user ? ` by ${entry.user}` : '';
+      console.log(`  ${chalk.white(entry.revision)} ${chalk.gray(`${new Date(entry.committedAt).toLocaleString()}${author}`)}`);
+
+      if (entry.encrypted) {
+        console.log(chalk.gray('    🔒 encrypted revision'));
+        continue;
+      }
+
+      if (entry.servers === null) {
+        console.log(chalk.gray(`    ${result.fileName} does not exist at this revision`));
+        continue;
+      }
+
+      if (!entry.diff) {
+        const reason = entry.previousEncrypted ? 'previous revision is encrypted' : 'earlier history not shown';
+        console.log(chalk.gray(`    ${entry.serverNames.length} servers (${reason})`));
+        continue;
       }
+
+      const parts = [
+        ...entry.diff.added.map(({ name }) => chalk.green(`+${name}`)),
+        ...entry.diff.removed.map(({ name }) => chalk.red(`-${name}`)),
+        ...entry.diff.changed.map(({ name, fields }) => chalk.yellow(`~${name} (${fields.map(item => item.field).join(', ')})`))
+      ];
+      console.log(`    ${parts.length > 0 ? parts.join(' ') : chalk.gray('no server changes')}`);
+    }
+
+    if (result.total > result.entries.length) {
+      console.log(chalk.gray(`\n  ${result.total - result.entries.length} older revisions not shown (use --limit)`));
+    }
+  }
+
+  static displayBackups(backups) {
+    if (backups.length === 0) {
+      console.log(chalk.gray('No backups found.'));
+      return;
+    }
+
+    console.log(chalk.blue('\n💾 Configuration backups:'));
+    for (const backup of backups) {
+      const label = backup.type ? ` (${backup.type})` : '';
+      console.log(`  ${chalk.white(backup.id)}${chalk.gray(label)}`);
+      console.log(chalk.gray(`    ${new Date(backup.createdAt).toLocaleString()} - ${backup.source}`));
     }
   }
 
@@ -392,16 +2153,26 @@ export class McpManager {
     console.error(chalk.red(`${prefix}❌ ${isInteractive ? 'Failed to upload:' : 'Error:'}`), message);
   }
 
-  static handleCliError(error) {
-    console.error(chalk.red('❌ Error:'), error.message);
+  static handleCliError(error, { json = false } = {}) {
+    if (json) {
+      console.log(JSON.stringify({ error: serializeError(error) }, null, 2));
+    } else {
+      console.error(chalk.red('❌ Error:'), error.message);
+    }
     process.exit(1);
   }
 
   static getAppChoices() {
-    return [
-      { name: 'Cursor', value: 'cursor' },
-      { name: 'Claude Desktop', value: 'claude' }
-    ];
+    return listClients().map(client => ({ name: client.name, value: client.id }));
+  }
+
+
+  static getTypeHelp() {
+    return getClientIds().join('|');
+  }
+
+  static getConvertFormats() {
+    return [...getClientIds(), ...getExporterIds()];
   }
 
   static createTextInputValidator(type) {
@@ -0,0 +1,154 @@
+import { parse, parseTree, findNodeAtLocation, modify, applyEdits, printParseErrorCode } from 'jsonc-parser';
+import { isEqual } from './diff.js';
+import { McpError } from './errors.js';
+
+const PARSE_OPTIONS = { allowTrailingComma: true, disallowComments: false };
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function getPosition(content, offset) {
+  const lines = content.slice(0, offset).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+export function parseJsonc(content, label = 'configuration') {
+  if (!content.trim()) {
+    return {};
+  }
+
+  const errors = [];
+  const document = parse(content, errors, PARSE_OPTIONS);
+  if (errors.length > 0) {
+    const { line, column } = getPosition(content, errors[0].offset);
+    throw new McpError('INVALID_CONFIG', `Cannot parse ${label}: ${printParseErrorCode(errors[0].error)} at line ${line}, column ${column}`);
+  }
+  if (!isPlainObject(document)) {
+    throw new McpError('INVALID_CONFIG', `Cannot parse ${label}: expected a JSON object`);
+  }
+  return document;
+}
+
+export function toStrictJson(content, label) {
+  try {
+    JSON.parse(content);
+    return content;
+  } catch {
+    return JSON.stringify(parseJsonc(content, label), null, 2);
+  }
+}
+
+function getFormattingOptions(content) {
+  const indent = content.match(/^([ \t]+)\S/m);
+  return {
+    insertSpaces: !indent || indent[1][0] === ' ',
+    tabSize: indent && indent[1][0] === ' ' ? indent[1].length : 2,
+    eol: content.includes('\r\n') ? '\r\n' : '\n'
+  };
+}
+
+function getLineStart(text, offset) {
+  return text.lastIndexOf('\n', offset - 1) + 1;
+}
+
+function getLineEnd(text, offset) {
+  const index = text.indexOf('\n', offset);
+  if (index === -1) {
+    return text.length;
+  }
+  return text[index - 1] === '\r' ? index - 1 : index;
+}
+
+function findObject(text, jsonPath) {
+  const tree = parseTree(text, [], PARSE_OPTIONS);
+  const node = tree && jsonPath.length > 0 ? findNodeAtLocation(tree, jsonPath) : tree;
+  return node && node.type === 'object' ? node : null;
+}
+
+function stringifyValue(value, indent, { insertSpaces, tabSize, eol }) {
+  return JSON.stringify(value, null, insertSpaces ? ' '.repeat(tabSize) : '\t').split('\n').join(`${eol}${indent}`);
+}
+
+function insertProperty(text, jsonPath, key, value, formattingOptions) {
+  const object = findObject(text, jsonPath);
+  const last = object && object.children && object.children[object.children.length - 1];
+  if (!last) {
+    return null;
+  }
+
+  const lastEnd = last.offset + last.length;
+  const lineEnd = getLineEnd(text, lastEnd);
+  const indent = text.slice(getLineStart(text, last.offset), last.offset);
+  if (object.offset + object.length - 1 < lineEnd || /\S/.test(indent)) {
+    return null;
+  }
+
+  const trailingComma = /^\s*,/.test(text.slice(lastEnd, lineEnd));
+  const property = `${formattingOptions.eol}${indent}${JSON.stringify(key)}: ${stringifyValue(value, indent, formattingOptions)}${trailingComma ? ',' : ''}`;
+  return trailingComma
+    ? `${text.slice(0, lineEnd)}${property}${text.slice(lineEnd)}`
+    : `${text.slice(0, lastEnd)},${text.slice(lastEnd, lineEnd)}${property}${text.slice(lineEnd)}`;
+}
+
+function removeProperty(text, jsonPath, key) {
+  const object = findObject(text, jsonPath);
+  const properties = (object && object.children) || [];
+  const index = properties.findIndex(property => property.children[0].value === key);
+  if (index === -1) {
+    return null;
+  }
+
+  const property = properties[index];
+  const start = getLineStart(text, property.offset);
+  const end = property.offset + property.length;
+  const lineEnd = getLineEnd(text, end);
+  const rest = text.slice(end, lineEnd);
+  if (/\S/.test(text.slice(start, property.offset)) || !/^\s*(,\s*)?(\/\/.*|\/\*.*\*\/\s*)?$/.test(rest)) {
+    return null;
+  }
+
+  const removeEnd = text.indexOf('\n', lineEnd);
+  let result = `${text.slice(0, start)}${text.slice(removeEnd === -1 ? text.length : removeEnd + 1)}`;
+  const previous = properties[index - 1];
+  if (index === properties.length - 1 && previous && !/^\s*,/.test(rest)) {
+    const previousEnd = previous.offset + previous.length;
+    const comma = result.slice(previousEnd).match(/^\s*,/);
+    if (comma) {
+      result = `${result.slice(0, previousEnd)}${result.slice(previousEnd + comma[0].length)}`;
+    }
+  }
+  return result;
+}
+
+export function formatJsonc(content, before, after) {
+  if (!content || !content.trim()) {
+    return JSON.stringify(after, null, 2);
+  }
+
+  const formattingOptions = getFormattingOptions(content);
+  const setValue = (text, jsonPath, value) => applyEdits(text, modify(text, jsonPath, value, { formattingOptions }));
+  const addKey = (text, jsonPath, key, value) => insertProperty(text, jsonPath, key, value, formattingOptions) ?? setValue(text, [...jsonPath, key], value);
+  const removeKey = (text, jsonPath, key) => removeProperty(text, jsonPath, key) ?? applyEdits(text, modify(text, [...jsonPath, key], undefined, {}));
+
+  const update = (text, jsonPath, previous, next) => {
+    if (!isPlainObject(previous) || !isPlainObject(next)) {
+      return isEqual(previous, next) ? text : setValue(text, jsonPath, next);
+    }
+
+    let result = text;
+    for (const key of Object.keys(previous)) {
+      if (!Object.prototype.hasOwnProperty.call(next, key)) {
+        result = removeKey(result, jsonPath, key);
+      }
+    }
+    for (const [key, value] of Object.entries(next)) {
+      result = Object.prototype.hasOwnProperty.call(previous, key)
+        ? update(result, [...jsonPath, key], previous[key], value)
+        : addKey(result, jsonPath, key, value);
+    }
+    return result;
+  };
+
+  return update(content, [], before, after);
+}
@@ -0,0 +1,93 @@
+import { extractServers } from './clients.js';
+import { McpError } from './errors.js';
+
+export const REMOVE_MARKER = '$remove';
+
+const MAP_FIELDS = ['env', 'headers'];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clearOrigins(origins, field) {
+  for (const key of Object.keys(origins)) {
+    if (key === field || key.startsWith(`${field}.`)) {
+      delete origins[key];
+    }
+  }
+}
+
+export function applyOverride(current, override, label = null, origins = {}) {
+  const entry = { ...current };
+
+  for (const [field, value] of Object.entries(override)) {
+    if (field === REMOVE_MARKER) continue;
+
+    if (value === REMOVE_MARKER) {
+      delete entry[field];
+      clearOrigins(origins, field);
+    } else if (MAP_FIELDS.includes(field) && isPlainObject(value)) {
+      const map = isPlainObject(entry[field]) ? { ...entry[field] } : {};
+      if (!isPlainObject(entry[field])) {
+        clearOrigins(origins, field);
+      }
+
+      for (const [key, item] of Object.entries(value)) {
+        if (item === REMOVE_MARKER) {
+          delete map[key];
+          delete origins[`${field}.${key}`];
+        } else {
+          map[key] = item;
+          origins[`${field}.${key}`] = label;
+        }
+      }
+      entry[field] = map;
+    } else {
+      clearOrigins(origins, field);
+      entry[field] = value;
+      origins[field] = label;
+    }
+  }
+
+  return entry;
+}
+
+export function composeLayers(layers) {
+  const entries = {};
+  const origins = {};
+  const removed = {};
+
+  for (const { label, document } of layers) {
+    const { rootKey, servers } = extractServers(document);
+    if (!rootKey) {
+      throw new McpError('INVALID_CONFIG', `${label} has no mcpServers, servers or context_servers section`);
+    }
+
+    for (const [name, override] of Object.entries(servers)) {
+      if (!isPlainObject(override)) {
+        throw new McpError('INVALID_CONFIG', `Server "${name}" in ${label} must be an object`);
+      }
+
+      if (override[REMOVE_MARKER] === true) {
+        delete entries[name];
+        delete origins[name];
+        removed[name] = label;
+        continue;
+      }
+
+      origins[name] = origins[name] || {};
+      entries[name] = applyOverride(entries[name] || {}, override, label, origins[name]);
+      delete removed[name];
+    }
+  }
+
+  const servers = {};
+  for (const [name, entry] of Object.entries(entries)) {
+    if (entry.disabled === true) continue;
+
+    const { disabled, ...rest } = entry;
+    servers[name] = rest;
+  }
+
+  return { servers, entries, origins, removed };
+}
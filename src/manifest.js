@@ -0,0 +1,140 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { McpError } from './errors.js';
+
+export const MANIFEST_FILE = 'portable-mcp.json';
+
+const SOURCE_KEYS = ['gist', 'url', 'file'];
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export async function findManifest(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  for (;;) {
+    const candidate = path.join(dir, MANIFEST_FILE);
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch {
+      // Keep walking up
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+function validateSource(source, sourcePath, errors) {
+  if (!isPlainObject(source)) {
+    errors.push({ path: sourcePath, message: 'source must be an object' });
+    return;
+  }
+
+  const keys = SOURCE_KEYS.filter(key => source[key] !== undefined);
+  if (keys.length !== 1) {
+    errors.push({ path: sourcePath, message: `source must define exactly one of ${SOURCE_KEYS.join(', ')}` });
+  }
+  for (const key of [...keys, 'profile', 'revision']) {
+    if (source[key] !== undefined && (typeof source[key] !== 'string' || !source[key].trim())) {
+      errors.push({ path: `${sourcePath}.${key}`, message: `${key} must be a non-empty string` });
+    }
+  }
+  if (source.gist === undefined && (source.profile !== undefined || source.revision !== undefined)) {
+    errors.push({ path: sourcePath, message: 'profile and revision can only be used with gist' });
+  }
+}
+
+export function validateManifest(manifest) {
+  const errors = [];
+
+  if (!isPlainObject(manifest)) {
+    return [{ path: '$', message: 'manifest must be a JSON object' }];
+  }
+
+  if (manifest.clients !== undefined) {
+    if (!Array.isArray(manifest.clients) || manifest.clients.some(client => typeof client !== 'string')) {
+      errors.push({ path: '$.clients', message: 'clients must be an array of client types' });
+    }
+  }
+
+  if (manifest.sources !== undefined) {
+    if (!Array.isArray(manifest.sources)) {
+      errors.push({ path: '$.sources', message: 'sources must be an array' });
+    } else {
+      manifest.sources.forEach((source, index) => validateSource(source, `$.sources[${index}]`, errors));
+    }
+  }
+
+  if (manifest.mcpServers !== undefined && !isPlainObject(manifest.mcpServers)) {
+    errors.push({ path: '$.mcpServers', message: 'mcpServers must be an object' });
+  }
+
+  if (!(manifest.sources || []).length && !Object.keys(manifest.mcpServers || {}).length) {
+    errors.push({ path: '$', message: 'manifest must list sources or define mcpServers' });
+  }
+
+  if (manifest.env !== undefined) {
+    const names = Array.isArray(manifest.env) ? manifest.env : Object.keys(isPlainObject(manifest.env) ? manifest.env : {});
+    if (!Array.isArray(manifest.env) && !isPlainObject(manifest.env)) {
+      errors.push({ path: '$.env', message: 'env must be an array of variable names or an object of name: description' });
+    }
+    for (const name of names) {
+      if (typeof name !== 'string' || !ENV_NAME_PATTERN.test(name)) {
+        errors.push({ path: '$.env', message: `invalid environment variable name: ${JSON.stringify(name)}` });
+      }
+    }
+  }
+
+  return errors;
+}
+
+export async function readManifest(filePath) {
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      throw new McpError('INVALID_CONFIG', `Invalid JSON in ${filePath}: ${error.message}`);
+    }
+    throw error;
+  }
+
+  const errors = validateManifest(manifest);
+  if (errors.length > 0) {
+    const details = errors.map(error => `  ${error.path}: ${error.message}`).join('\n');
+    throw new McpError('INVALID_CONFIG', `Invalid ${MANIFEST_FILE} (${filePath}):\n${details}`, errors);
+  }
+  return manifest;
+}
+
+export function getManifestSources(manifest, root) {
+  const sources = (manifest.sources || []).map(source => {
+    if (source.gist) {
+      return { gist: source.gist, profile: source.profile, revision: source.revision };
+    }
+    if (source.file) {
+      return { jsonUrl: pathToFileURL(path.resolve(root, source.file)).href };
+    }
+    return { jsonUrl: source.url };
+  });
+
+  if (Object.keys(manifest.mcpServers || {}).length > 0) {
+    sources.push({ label: MANIFEST_FILE, document: { mcpServers: manifest.mcpServers } });
+  }
+  return sources;
+}
+
+export function getRequiredEnv(manifest) {
+  if (Array.isArray(manifest.env)) {
+    return manifest.env.map(name => ({ name, description: null }));
+  }
+  return Object.entries(manifest.env || {}).map(([name, description]) => ({ name, description: description || null }));
+}
@@ -0,0 +1,102 @@
+import fs from 'fs/promises';
+import { constants } from 'fs';
+import path from 'path';
+import os from 'os';
+import { isPlaceholderValue } from './secrets.js';
+
+const WINDOWS_ABSOLUTE_PATTERN = /^[A-Za-z]:[\\/]/;
+
+export async function findExecutable(command, env = process.env) {
+  const isWindows = process.platform === 'win32';
+  const extensions = isWindows
+    ? ['', ...(env.PATHEXT || '.COM;.EXE;.BAT;.CMD').split(';').filter(Boolean)]
+    : [''];
+  const candidates = /[\\/]/.test(command)
+    ? [path.resolve(command)]
+    : (env.PATH || env.Path || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, command));
+
+  for (const candidate of candidates) {
+    for (const extension of extensions) {
+      try {
+        await fs.access(candidate + extension, isWindows ? constants.F_OK : constants.X_OK);
+        return candidate + extension;
+      } catch {
+        // Try the next candidate
+      }
+    }
+  }
+
+  return null;
+}
+
+export function getLocalPath(value, home = os.homedir()) {
+  if (typeof value !== 'string' || value.includes('${')) {
+    return null;
+  }
+
+  const candidate = value.startsWith('-') && value.includes('=') ? value.slice(value.indexOf('=') + 1) : value;
+
+  if (WINDOWS_ABSOLUTE_PATTERN.test(candidate)) {
+    return candidate;
+  }
+  if (candidate === '~' || candidate.startsWith('~/')) {
+    return path.join(home, candidate.slice(1));
+  }
+  if (candidate.startsWith('/') && !candidate.startsWith('//')) {
+    return candidate.split(':')[0];
+  }
+
+  return null;
+}
+
+async function pathExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export async function preflightServers(servers, { env = process.env, home = os.homedir() } = {}) {
+  const findings = [];
+  const commands = new Map();
+
+  for (const [server, entry] of Object.entries(servers || {})) {
+    if (!entry || typeof entry !== 'object' || entry.disabled === true) continue;
+
+    if (typeof entry.command === 'string' && !entry.command.includes('${')) {
+      if (!commands.has(entry.command)) {
+        commands.set(entry.command, await findExecutable(entry.command, env));
+      }
+      if (!commands.get(entry.command)) {
+        findings.push({ server, field: 'command', message: `command not found on PATH: ${entry.command}` });
+      }
+    }
+
+    const values = [
+      ...(Array.isArray(entry.args) ? entry.args : []).map((value, index) => [`args[${index}]`, value]),
+      ...Object.entries(entry.env || {}).map(([key, value]) => [`env.${key}`, value])
+    ];
+    for (const [field, value] of values) {
+      const localPath = getLocalPath(value, home);
+      if (localPath && !await pathExists(localPath)) {
+        findings.push({ server, field, message: `path does not exist: ${localPath}` });
+      }
+    }
+
+    for (const field of ['env', 'headers']) {
+      for (const [key, value] of Object.entries(entry[field] || {})) {
+        if (typeof value !== 'string') continue;
+
+        if (!value.trim()) {
+          findings.push({ server, field: `${field}.${key}`, message: 'value is empty' });
+        } else if (isPlaceholderValue(value)) {
+          findings.push({ server, field: `${field}.${key}`, message: `value is still a placeholder: ${value}` });
+        }
+      }
+    }
+  }
+
+  return findings;
+}
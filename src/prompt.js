@@ -1,6 +1,7 @@
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import { McpManager } from './index.js';
+import { extractServers } from './clients.js';
 
 export async function promptMode() {
   console.log(chalk.blue('🚀 Welcome to Interactive MCP Manager!'));
@@ -17,8 +18,12 @@ export async function promptMode() {
       choices: [
         { name: '📥 Replace configuration file', value: 'replace' },
         { name: '🔄 Merge with existing configuration', value: 'merge' },
+        { name: '➕ Add a server from the catalog', value: 'add' },
+        { name: '🗑️  Remove servers from a configuration', value: 'remove' },
         { name: '📤 Upload configuration to Gist', value: 'store' },
+        { name: '⏪ Restore configuration from backup', value: 'restore' },
         { name: '📁 Show default configuration path', value: 'path' },
+        { name: '🔍 Detect installed clients', value: 'detect' },
         { name: '❌ Exit', value: 'exit' }
       ]
     }
@@ -45,6 +50,27 @@ export async function promptMode() {
     return;
   }
 
+  if (action === 'detect') {
+    const results = await manager.detect();
+    McpManager.displayDetectResult(results);
+    return;
+  }
+
+  if (action === 'add') {
+    await handleAddPrompt(manager);
+    return;
+  }
+
+  if (action === 'remove') {
+    await handleRemovePrompt(manager);
+    return;
+  }
+
+  if (action === 'restore') {
+    await handleRestorePrompt(manager);
+    return;
+  }
+
   if (action === 'store') {
     await handleStorePrompt(manager);
     return;
@@ -106,21 +132,37 @@ async function handleStorePrompt(manager) {
     gistId = existingGist;
   }
 
-  const { isPrivate } = await inquirer.prompt([
+  const { profile } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'profile',
+      message: 'Profile name (leave empty to use the file name):'
+    }
+  ]);
+
+  const { isPrivate, portablePaths } = await inquirer.prompt([
     {
       type: 'confirm',
       name: 'isPrivate',
       message: 'Make the Gist private?',
       default: false
+    },
+    {
+      type: 'confirm',
+      name: 'portablePaths',
+      message: 'Replace home directory paths with ${HOME} so the config works on other machines?',
+      default: false
     }
   ]);
 
   try {
     const result = await manager.store({
-      type,
+      type: type === 'custom' ? undefined : type,
       source: type === 'custom' ? sourcePath : undefined,
       gist: gistId,
-      private: isPrivate
+      profile: profile.trim() || undefined,
+      private: isPrivate,
+      portablePaths
     });
 
     McpManager.displayStoreResult(result, true);
@@ -129,6 +171,221 @@ async function handleStorePrompt(manager) {
   }
 }
 
+async function promptGistFromList(manager) {
+  let gists;
+  try {
+    gists = await manager.listGists();
+  } catch (error) {
+    console.error(chalk.red('\n❌ Failed to list Gists:'), error.message);
+    return null;
+  }
+
+  if (gists.length === 0) {
+    console.log(chalk.gray('\nNo Gists with MCP configurations found.'));
+    return null;
+  }
+
+  const { gist } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'gist',
+      message: 'Which Gist?',
+      choices: gists.map(item => ({
+        name: `${item.description || item.id} ${chalk.gray(`(${item.id}, updated ${new Date(item.updatedAt).toLocaleDateString()})`)}`,
+        value: item
+      }))
+    }
+  ]);
+
+  if (gist.files.length === 1) {
+    return `${gist.id}/${gist.files[0].name}`;
+  }
+
+  const { fileName } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'fileName',
+      message: 'Which profile?',
+      choices: gist.files.map(file => ({
+        name: `${file.name} ${chalk.gray(`(${file.servers.join(', ')})`)}`,
+        value: file.name
+      }))
+    }
+  ]);
+
+  return `${gist.id}/${fileName}`;
+}
+
+async function promptDestination(message) {
+  const { type } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'type',
+      message,
+      choices: [
+        ...McpManager.getAppChoices(),
+        { name: '📁 Custom path', value: 'custom' }
+      ]
+    }
+  ]);
+
+  if (type !== 'custom') {
+    return { type };
+  }
+
+  const { customDest } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'customDest',
+      message: 'Enter the configuration path:',
+      validate: McpManager.createTextInputValidator('path')
+    }
+  ]);
+  return { destination: customDest };
+}
+
+async function handleAddPrompt(manager) {
+  const entries = await manager.searchCatalog('');
+  const { server } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'server',
+      message: 'Which server do you want to add?',
+      choices: entries.map(entry => ({ name: `${entry.name} - ${entry.description}`, value: entry.name }))
+    }
+  ]);
+
+  const destOptions = await promptDestination('Which configuration do you want to add it to?');
+
+  let plan;
+  try {
+    plan = await manager.prepareAdd(server, destOptions);
+  } catch (error) {
+    console.error(chalk.red('\n❌ Failed to add server:'), error.message);
+    return;
+  }
+
+  McpManager.displayDiff(plan);
+  McpManager.displayPreflight(plan.findings);
+
+  const { confirm } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirm',
+      message: plan.findings.length > 0 ? 'Preflight found problems. Add this server anyway?' : 'Add this server?',
+      default: true
+    }
+  ]);
+
+  if (!confirm) {
+    console.log(chalk.gray('Operation cancelled.'));
+    return;
+  }
+
+  try {
+    await manager.applyPlan(plan, destOptions);
+    McpManager.displayOperationResult('merge', plan.destination);
+  } catch (error) {
+    console.error(chalk.red('\n❌ Failed to add server:'), error.message);
+  }
+}
+
+async function handleRemovePrompt(manager) {
+  const destOptions = await promptDestination('Which configuration do you want to remove servers from?');
+
+  const servers = await manager.readServers(destOptions);
+  const serverNames = Object.keys(servers);
+  if (serverNames.length === 0) {
+    console.log(chalk.gray('\nNo servers configured.'));
+    return;
+  }
+
+  const { selectedServers } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'selectedServers',
+      message: 'Which servers do you want to remove?',
+      choices: serverNames.map(name => ({ name, value: name }))
+    }
+  ]);
+
+  if (selectedServers.length === 0) {
+    console.log(chalk.gray('No servers selected. Operation cancelled.'));
+    return;
+  }
+
+  const plan = await manager.prepareRemove(selectedServers, destOptions);
+  McpManager.displayDiff(plan);
+
+  const { confirm } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirm',
+      message: 'Are you sure you want to remove these servers?',
+      default: false
+    }
+  ]);
+
+  if (!confirm) {
+    console.log(chalk.gray('Operation cancelled.'));
+    return;
+  }
+
+  try {
+    await manager.applyPlan(plan, destOptions);
+    McpManager.displayOperationResult('remove', plan.destination);
+  } catch (error) {
+    console.error(chalk.red('\n❌ Failed to remove servers:'), error.message);
+  }
+}
+
+async function handleRestorePrompt(manager) {
+  const destOptions = await promptDestination('Which configuration do you want to restore?');
+
+  const backups = await manager.listBackups(destOptions);
+  if (backups.length === 0) {
+    console.log(chalk.gray('\nNo backups found for this configuration.'));
+    return;
+  }
+
+  const { backup } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'backup',
+      message: 'Which backup do you want to restore?',
+      choices: backups.map(item => ({
+        name: `${new Date(item.createdAt).toLocaleString()} (${item.id})`,
+        value: item.id
+      }))
+    }
+  ]);
+
+  const destination = destOptions.destination || manager.getDefaultPath(destOptions.type);
+  console.log(chalk.yellow('\n⚠️  This will overwrite the configuration at:'));
+  console.log(chalk.white(destination));
+
+  const { confirm } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirm',
+      message: 'Are you sure you want to restore this backup?',
+      default: false
+    }
+  ]);
+
+  if (!confirm) {
+    console.log(chalk.gray('Operation cancelled.'));
+    return;
+  }
+
+  try {
+    await manager.restore({ ...destOptions, backup });
+    McpManager.displayOperationResult('restore', destination);
+  } catch (error) {
+    console.error(chalk.red('\n❌ Failed to restore configuration:'), error.message);
+  }
+}
+
 async function handleReplaceOrMergePrompt(manager, action) {
   console.log(chalk.blue(`\n📥 ${action === 'replace' ? 'Replace' : 'Merge'} Configuration`));
 
@@ -140,7 +397,8 @@ async function handleReplaceOrMergePrompt(manager, action) {
       message: 'Where is the configuration you want to download?',
       choices: [
         { name: '🔗 Direct URL', value: 'url' },
-        { name: '📝 GitHub Gist', value: 'gist' }
+        { name: '📝 GitHub Gist', value: 'gist' },
+        { name: '📋 Choose from my Gists', value: 'my-gist' }
       ]
     }
   ]);
@@ -164,6 +422,12 @@ async function handleReplaceOrMergePrompt(manager, action) {
       }
     ]);
     sourceOptions.jsonUrl = jsonUrl;
+  } else if (sourceType === 'my-gist') {
+    const gistInput = await promptGistFromList(manager);
+    if (!gistInput) {
+      return;
+    }
+    sourceOptions.gist = gistInput;
   } else {
     const { gistInput } = await inquirer.prompt([
       {
@@ -176,46 +440,71 @@ async function handleReplaceOrMergePrompt(manager, action) {
     sourceOptions.gist = gistInput;
   }
 
-  // Ask about destination
-  const { destinationType } = await inquirer.prompt([
+  let sourceData;
+  try {
+    sourceData = await manager.loadSource(sourceOptions);
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Failed to ${action} configuration:`), error.message);
+    return;
+  }
+
+  // Pick the servers to take from the source
+  const serverNames = Object.keys(extractServers(sourceData).servers);
+  const { selectedServers } = await inquirer.prompt([
     {
-      type: 'list',
-      name: 'destinationType',
-      message: 'Where should the configuration be saved?',
-      choices: [
-        { name: '🎯 Cursor', value: 'cursor' },
-        { name: '🤖 Claude Desktop', value: 'claude' },
-        { name: '📁 Custom path', value: 'custom' }
-      ]
+      type: 'checkbox',
+      name: 'selectedServers',
+      message: 'Which servers do you want to include?',
+      choices: serverNames.map(name => ({ name, value: name, checked: true }))
     }
   ]);
 
-  let destOptions = {};
+  if (selectedServers.length === 0) {
+    console.log(chalk.gray('No servers selected. Operation cancelled.'));
+    return;
+  }
 
-  if (destinationType === 'custom') {
-    const { customDest } = await inquirer.prompt([
+  let onConflict;
+  if (action === 'merge') {
+    ({ onConflict } = await inquirer.prompt([
       {
-        type: 'input',
-        name: 'customDest',
-        message: 'Enter the destination path:',
-        validate: McpManager.createTextInputValidator('path')
+        type: 'list',
+        name: 'onConflict',
+        message: 'When a server already exists with a different definition:',
+        choices: [
+          { name: 'Overwrite it with the incoming server', value: 'overwrite' },
+          { name: 'Keep the existing server', value: 'keep' },
+          { name: 'Add the incoming server under a new name', value: 'rename' },
+          { name: 'Ask me for each server', value: 'ask' }
+        ]
       }
-    ]);
-    destOptions.destination = customDest;
-  } else {
-    destOptions.type = destinationType;
+    ]));
   }
 
-  // Confirm the action
-  const destination = destOptions.destination || manager.getDefaultPath(destOptions.type);
-  console.log(chalk.yellow(`\n⚠️  This will ${action} the configuration at:`));
-  console.log(chalk.white(destination));
+  // Ask about destination
+  const destOptions = await promptDestination('Where should the configuration be saved?');
+
+  // Preview the changes and confirm the action
+  const options = { ...sourceOptions, ...destOptions, only: selectedServers, onConflict };
+
+  let plan;
+  try {
+    plan = await manager.prepare(action, options, sourceData);
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Failed to ${action} configuration:`), error.message);
+    return;
+  }
+
+  McpManager.displayDiff(plan);
+  McpManager.displayPreflight(plan.findings);
 
   const { confirm } = await inquirer.prompt([
     {
       type: 'confirm',
       name: 'confirm',
-      message: `Are you sure you want to ${action} this configuration?`,
+      message: plan.findings.length > 0
+        ? `Preflight found problems. ${action === 'replace' ? 'Replace' : 'Merge'} this configuration anyway?`
+        : `Are you sure you want to ${action} this configuration?`,
       default: false
     }
   ]);
@@ -226,15 +515,8 @@ async function handleReplaceOrMergePrompt(manager, action) {
   }
 
   try {
-    const options = { ...sourceOptions, ...destOptions };
-
-    if (action === 'replace') {
-      await manager.replace(options);
-    } else {
-      await manager.merge(options);
-    }
-
-    McpManager.displayOperationResult(action, destination);
+    await manager.applyPlan(plan, options);
+    McpManager.displayOperationResult(action, plan.destination);
   } catch (error) {
     console.error(chalk.red(`\n❌ Failed to ${action} configuration:`), error.message);
   }
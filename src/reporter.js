@@ -0,0 +1,27 @@
+import ora from 'ora';
+
+function createSilentSpinner(text = '') {
+  return {
+    text,
+    start() { return this; },
+    stop() { return this; },
+    succeed() { return this; },
+    fail() { return this; },
+    warn() { return this; },
+    info() { return this; }
+  };
+}
+
+export const silentReporter = {
+  spinner: (text) => createSilentSpinner(text),
+  info: () => {},
+  warn: () => {}
+};
+
+export function createConsoleReporter() {
+  return {
+    spinner: (text) => ora(text).start(),
+    info: (text) => ora().info(text),
+    warn: (text) => ora().warn(text)
+  };
+}
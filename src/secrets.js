@@ -0,0 +1,221 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+const SECRET_KEY_SEGMENTS = ['token', 'secret', 'password', 'passwd', 'credential', 'credentials', 'dsn', 'auth', 'authorization', 'apikey', 'accesskey', 'privatekey'];
+
+const SECRET_KEY_PAIRS = ['api_key', 'access_key', 'private_key', 'connection_string'];
+
+const SETTING_KEY_SEGMENTS = ['max', 'min', 'limit', 'length', 'count', 'size', 'use', 'enable', 'enabled', 'disable', 'disabled', 'cache', 'scanning', 'ttl', 'timeout', 'expiry', 'expires', 'file', 'path', 'url'];
+
+const NON_SECRET_VALUE_PATTERN = /^(-?\d+(\.\d+)?|true|false|yes|no|on|off)$/i;
+
+const SECRET_VALUE_PATTERNS = [
+  /^gh[pousr]_[A-Za-z0-9]{20,}$/,
+  /^github_pat_\w{20,}$/,
+  /^sk-[A-Za-z0-9_-]{16,}$/,
+  /^xox[abprs]-[A-Za-z0-9-]{10,}$/,
+  /^AKIA[0-9A-Z]{16}$/,
+  /^eyJ[\w-]+\.[\w-]+\.[\w-]+$/,
+  /^[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:[^\s@/]+@/i
+];
+
+const DUMMY_VALUE_PATTERN = /^(<.*>|your[-_ ].*|x{3,}|changeme|example|placeholder|\*+)$/i;
+
+const PLACEHOLDER_PATTERN = /\$\{([A-Z_][A-Z0-9_]*)\}/g;
+const ENV_PLACEHOLDER_PATTERN = /\$\{env:[A-Za-z_][A-Za-z0-9_]*\}/;
+
+export function getSecretsFile(env = process.env) {
+  return env.PORTABLE_MCP_SECRETS_FILE || path.join(os.homedir(), '.portable-mcp', 'secrets.env');
+}
+
+export function isPlaceholderValue(value) {
+  return typeof value === 'string' && DUMMY_VALUE_PATTERN.test(value.trim());
+}
+
+function getKeySegments(key) {
+  return String(key)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function isSecretKey(key) {
+  const segments = getKeySegments(key);
+  if (segments.some(segment => SETTING_KEY_SEGMENTS.includes(segment))) {
+    return false;
+  }
+
+  return segments.some((segment, index) => (
+    SECRET_KEY_SEGMENTS.includes(segment) || SECRET_KEY_PAIRS.includes(`${segment}_${segments[index + 1]}`)
+  ));
+}
+
+function hasPlaceholder(value) {
+  return new RegExp(PLACEHOLDER_PATTERN.source).test(value) || ENV_PLACEHOLDER_PATTERN.test(value);
+}
+
+export function isSecretValue(key, value) {
+  if (typeof value !== 'string' || !value.trim() || hasPlaceholder(value) || isPlaceholderValue(value) || NON_SECRET_VALUE_PATTERN.test(value.trim())) {
+    return false;
+  }
+
+  return (key !== null && isSecretKey(key)) || SECRET_VALUE_PATTERNS.some(pattern => pattern.test(value));
+}
+
+function toVariableName(...parts) {
+  return parts
+    .join('_')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toUpperCase()
+    .replace(/^(\d)/, '_$1');
+}
+
+export function findSecrets(servers) {
+  const secrets = [];
+
+  for (const [server, entry] of Object.entries(servers || {})) {
+    if (!entry || typeof entry !== 'object') continue;
+
+    for (const field of ['env', 'headers']) {
+      for (const [key, value] of Object.entries(entry[field] || {})) {
+        if (isSecretValue(key, value)) {
+          secrets.push({ server, field, key, value });
+        }
+      }
+    }
+
+    (Array.isArray(entry.args) ? entry.args : []).forEach((value, index) => {
+      if (isSecretValue(null, value)) {
+        secrets.push({ server, field: 'args', key: index, value });
+      }
+    });
+  }
+
+  return secrets;
+}
+
+export function extractSecrets(servers, existing = {}) {
+  const found = findSecrets(servers);
+  const assigned = new Map(Object.entries(existing));
+  const result = JSON.parse(JSON.stringify(servers));
+
+  const secrets = found.map(secret => {
+    let variable = secret.field === 'env' && /^[A-Z_][A-Z0-9_]*$/.test(secret.key)
+      ? secret.key
+      : toVariableName(secret.server, secret.field === 'args' ? `arg_${secret.key}` : secret.key);
+
+    if (assigned.has(variable) && assigned.get(variable) !== secret.value) {
+      const base = toVariableName(secret.server, variable);
+      variable = base;
+      for (let index = 2; assigned.has(variable) && assigned.get(variable) !== secret.value; index++) {
+        variable = `${base}_${index}`;
+      }
+    }
+    assigned.set(variable, secret.value);
+
+    result[secret.server][secret.field][secret.key] = `\${${variable}}`;
+    return { ...secret, variable };
+  });
+
+  return { servers: result, secrets };
+}
+
+function collectStrings(value, strings = []) {
+  if (typeof value === 'string') {
+    strings.push(value);
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectStrings(item, strings));
+  }
+  return strings;
+}
+
+export function findPlaceholders(servers) {
+  const names = new Set();
+  for (const value of collectStrings(servers)) {
+    for (const match of value.matchAll(PLACEHOLDER_PATTERN)) {
+      names.add(match[1]);
+    }
+  }
+  return [...names];
+}
+
+export function resolvePlaceholders(value, values) {
+  if (typeof value === 'string') {
+    return value.replace(PLACEHOLDER_PATTERN, (placeholder, name) => (
+      Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder
+    ));
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => resolvePlaceholders(item, values));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolvePlaceholders(item, values)]));
+  }
+
+  return value;
+}
+
+export function parseEnvFile(content) {
+  const values = {};
+
+  for (const line of content.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (!match) continue;
+
+    let value = match[2];
+    if (/^"(.*)"$/.test(value)) {
+      value = value.slice(1, -1).replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1');
+    } else if (/^'(.*)'$/.test(value)) {
+      value = value.slice(1, -1);
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    values[match[1]] = value;
+  }
+
+  return values;
+}
+
+function formatEnvLine(name, value) {
+  const escaped = value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `${name}="${escaped}"`;
+}
+
+export async function readSecretsFile(filePath) {
+  try {
+    return parseEnvFile(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+}
+
+export async function saveSecrets(filePath, values) {
+  let lines = [];
+  try {
+    lines = (await fs.readFile(filePath, 'utf8')).split(/\r?\n/);
+    if (lines[lines.length - 1] === '') lines.pop();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  for (const [name, value] of Object.entries(values)) {
+    const pattern = new RegExp(`^\\s*(?:export\\s+)?${name}\\s*=`);
+    const index = lines.findIndex(line => pattern.test(line));
+    if (index === -1) {
+      lines.push(formatEnvLine(name, value));
+    } else {
+      lines[index] = formatEnvLine(name, value);
+    }
+  }
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, `${lines.join('\n')}\n`, { encoding: 'utf8', mode: 0o600 });
+}
@@ -0,0 +1,76 @@
+import { isEqual } from './diff.js';
+import { McpError } from './errors.js';
+
+export const CONFLICT_STRATEGIES = ['keep', 'overwrite', 'rename', 'ask'];
+
+export function parseServerList(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const items = Array.isArray(value) ? value : [value];
+  return items
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+export function selectServers(servers, { only, exclude } = {}) {
+  const onlyNames = parseServerList(only);
+  const excludeNames = parseServerList(exclude) || [];
+
+  if (onlyNames) {
+    const missing = onlyNames.filter(name => !Object.prototype.hasOwnProperty.call(servers, name));
+    if (missing.length > 0) {
+      throw new McpError('NOT_FOUND', `Server${missing.length === 1 ? '' : 's'} not found in source: ${missing.join(', ')}. Available servers: ${Object.keys(servers).join(', ') || 'none'}`);
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(servers).filter(([name]) => (!onlyNames || onlyNames.includes(name)) && !excludeNames.includes(name))
+  );
+}
+
+export function uniqueServerName(name, servers) {
+  let index = 2;
+  while (Object.prototype.hasOwnProperty.call(servers, `${name}-${index}`)) {
+    index++;
+  }
+  return `${name}-${index}`;
+}
+
+export async function mergeServers(existing, incoming, { onConflict = 'overwrite', resolveConflict } = {}) {
+  if (!CONFLICT_STRATEGIES.includes(onConflict)) {
+    throw new McpError('INVALID_ARGUMENT', `Invalid conflict strategy: ${onConflict}. Supported strategies: ${CONFLICT_STRATEGIES.join(', ')}`);
+  }
+
+  const result = { ...existing };
+
+  for (const [name, entry] of Object.entries(incoming)) {
+    if (!Object.prototype.hasOwnProperty.call(result, name) || isEqual(result[name], entry)) {
+      result[name] = entry;
+      continue;
+    }
+
+    const strategy = onConflict === 'ask'
+      ? await resolveConflict(name, result[name], entry)
+      : onConflict;
+
+    if (strategy === 'overwrite') {
+      result[name] = entry;
+    } else if (strategy === 'rename') {
+      result[uniqueServerName(name, result)] = entry;
+    }
+  }
+
+  return result;
+}
+
+export function removeServers(servers, names) {
+  const missing = names.filter(name => !Object.prototype.hasOwnProperty.call(servers, name));
+  if (missing.length > 0) {
+    throw new McpError('NOT_FOUND', `Server${missing.length === 1 ? '' : 's'} not found: ${missing.join(', ')}. Configured servers: ${Object.keys(servers).join(', ') || 'none'}`);
+  }
+
+  return Object.fromEntries(Object.entries(servers).filter(([name]) => !names.includes(name)));
+}
@@ -0,0 +1,127 @@
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { McpError } from './errors.js';
+
+const providers = [];
+
+export function registerSourceProvider(provider) {
+  if (!provider || !provider.name || typeof provider.canHandle !== 'function' || typeof provider.load !== 'function') {
+    throw new McpError('INVALID_ARGUMENT', 'Source providers require a name, canHandle(options) and load(options, manager)');
+  }
+
+  const index = providers.findIndex(existing => existing.name === provider.name);
+  if (index === -1) {
+    providers.push(provider);
+  } else {
+    providers[index] = provider;
+  }
+}
+
+export function getSourceProvider(options) {
+  const provider = providers.find(candidate => candidate.canHandle(options));
+  if (!provider) {
+    if (options.jsonUrl) {
+      throw new McpError('UNSUPPORTED', `Unsupported source: ${options.jsonUrl}. Supported sources: ${providers.map(item => item.name).join(', ')}`);
+    }
+    throw new McpError('INVALID_ARGUMENT', 'Either --json-url or --gist must be provided');
+  }
+  return provider;
+}
+
+export function parseHeaders(headers = []) {
+  const result = {};
+
+  for (const header of [].concat(headers)) {
+    const separator = header.indexOf(':');
+    if (separator <= 0) {
+      throw new McpError('INVALID_ARGUMENT', `Invalid header: ${header}. Expected "Name: value"`);
+    }
+    result[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+  }
+
+  return result;
+}
+
+export function buildRequestHeaders(options) {
+  const headers = parseHeaders(options.header);
+
+  if (options.bearerToken) {
+    headers.Authorization = `Bearer ${options.bearerToken}`;
+  } else if (options.basicAuth) {
+    headers.Authorization = `Basic ${Buffer.from(options.basicAuth).toString('base64')}`;
+  }
+
+  return headers;
+}
+
+export function parseGitHubUri(uri) {
+  const match = uri.match(/^github:([^/]+)\/([^/]+)\/([^@]+?)(?:@(.+))?$/);
+  if (!match) {
+    throw new McpError('INVALID_ARGUMENT', `Invalid GitHub source: ${uri}. Expected github:owner/repo/path/to/file.json[@ref]`);
+  }
+
+  const [, owner, repo, filePath, ref] = match;
+  return { owner, repo, path: filePath, ref };
+}
+
+function parseJsonContent(content, label) {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new McpError('INVALID_CONFIG', `Invalid JSON in ${label}: ${error.message}`);
+  }
+}
+
+async function readStdin() {
+  if (process.stdin.isTTY) {
+    throw new McpError('INPUT_REQUIRED', 'No input on stdin. Pipe a configuration into the command, for example: cat mcp.json | portable-mcp replace --json-url -');
+  }
+
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+registerSourceProvider({
+  name: 'gist',
+  canHandle: (options) => Boolean(options.gist) && !options.jsonUrl,
+  load: (options, manager) => manager.downloadFromGist(manager.getGistInput(options), options.revision)
+});
+
+registerSourceProvider({
+  name: 'github',
+  canHandle: (options) => typeof options.jsonUrl === 'string' && options.jsonUrl.startsWith('github:'),
+  load: (options, manager) => {
+    const { owner, repo, path, ref } = parseGitHubUri(options.jsonUrl);
+    const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+    const url = `${manager.githubApiUrl}/repos/${owner}/${repo}/contents/${encodedPath}${ref ? `?ref=${encodeURIComponent(ref)}` : ''}`;
+
+    return manager.downloadJson(url, {
+      ...manager.getGitHubHeaders(),
+      Accept: 'application/vnd.github.raw'
+    });
+  }
+});
+
+registerSourceProvider({
+  name: 'file',
+  canHandle: (options) => typeof options.jsonUrl === 'string' && options.jsonUrl.startsWith('file:'),
+  load: async (options) => {
+    const filePath = fileURLToPath(options.jsonUrl);
+    return parseJsonContent(await fs.readFile(filePath, 'utf8'), filePath);
+  }
+});
+
+registerSourceProvider({
+  name: 'stdin',
+  canHandle: (options) => options.jsonUrl === '-',
+  load: async () => parseJsonContent(await readStdin(), 'stdin')
+});
+
+registerSourceProvider({
+  name: 'http',
+  canHandle: (options) => typeof options.jsonUrl === 'string' && /^https?:\/\//i.test(options.jsonUrl),
+  load: (options, manager) => manager.downloadJson(options.jsonUrl, buildRequestHeaders(options))
+});
@@ -0,0 +1,54 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { McpError } from './errors.js';
+import { writeFileAtomic, withFileLock } from './files.js';
+
+export function getStateFile(env = process.env) {
+  return env.PORTABLE_MCP_STATE_FILE || path.join(os.homedir(), '.portable-mcp', 'state.json');
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+export function hashServers(servers) {
+  return crypto.createHash('sha256').update(stableStringify(servers || {})).digest('hex');
+}
+
+export async function readState(stateFile) {
+  try {
+    const state = JSON.parse(await fs.readFile(stateFile, 'utf8'));
+    return { links: {}, ...state };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { links: {} };
+    }
+    throw new McpError('IO_ERROR', `Cannot read state file: ${stateFile}. ${error.message}`);
+  }
+}
+
+export async function writeState(stateFile, state) {
+  await fs.mkdir(path.dirname(stateFile), { recursive: true });
+  await writeFileAtomic(stateFile, JSON.stringify(state, null, 2));
+}
+
+export async function updateLink(stateFile, key, link) {
+  await fs.mkdir(path.dirname(stateFile), { recursive: true });
+  return await withFileLock(stateFile, async () => {
+    const state = await readState(stateFile);
+    state.links[key] = { ...state.links[key], ...link, syncedAt: new Date().toISOString() };
+    await writeState(stateFile, state);
+    return state.links[key];
+  });
+}
@@ -0,0 +1,224 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import fetch from 'node-fetch';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { pathToFileURL } from 'url';
+import { buildRequestHeaders, registerSourceProvider } from './sources.js';
+import { McpError } from './errors.js';
+
+const execFileAsync = promisify(execFile);
+
+const providers = new Map();
+
+export function registerStorageProvider(provider) {
+  if (!provider || !provider.name || typeof provider.store !== 'function') {
+    throw new McpError('INVALID_ARGUMENT', 'Storage providers require a name and store(files, options, manager)');
+  }
+  providers.set(provider.name, provider);
+}
+
+export function getStorageProvider(name = 'gist') {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new McpError('UNSUPPORTED', `Unsupported storage: ${name}. Supported storage: ${getStorageProviderNames().join(', ')}`);
+  }
+  return provider;
+}
+
+export function getStorageProviderNames() {
+  return [...providers.keys()];
+}
+
+export function parseGitUri(uri) {
+  const match = uri.match(/^git\+(.+)#([^:#]+):(.+)$/);
+  if (!match) {
+    throw new McpError('INVALID_ARGUMENT', `Invalid git source: ${uri}. Expected git+<repository>#<branch>:<path>`);
+  }
+
+  const [, repo, branch, filePath] = match;
+  return { repo, branch, path: filePath };
+}
+
+export function formatGitUri({ repo, branch, path: filePath }) {
+  return `git+${repo}#${branch}:${filePath}`;
+}
+
+async function git(args, cwd) {
+  try {
+    const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: 10 * 1024 * 1024 });
+    return stdout.trim();
+  } catch (error) {
+    throw new McpError('REMOTE_ERROR', `git ${args[0]} failed: ${(error.stderr || error.message).trim()}`);
+  }
+}
+
+async function withClone({ repo, branch }, callback) {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'portable-mcp-git-'));
+
+  try {
+    try {
+      await git(['clone', '--quiet', '--depth', '1', '--branch', branch, repo, workDir]);
+    } catch {
+      await git(['clone', '--quiet', '--depth', '1', repo, workDir]);
+      await git(['checkout', '--quiet', '-B', branch], workDir);
+    }
+    return await callback(workDir);
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+function resolveRepoPath(workDir, filePath) {
+  const target = path.resolve(workDir, filePath);
+  if (!target.startsWith(workDir + path.sep)) {
+    throw new McpError('INVALID_ARGUMENT', `Path must stay inside the repository: ${filePath}`);
+  }
+  return target;
+}
+
+function assertSinglePath(files, options) {
+  if (options.path && files.length > 1) {
+    throw new McpError('INVALID_ARGUMENT', '--path can only be used when storing a single file');
+  }
+}
+
+registerStorageProvider({
+  name: 'gist',
+  store: async (files, options, manager) => {
+    if (manager.githubToken) {
+      return await manager.storeWithApi(files, options);
+    } else if (await manager.hasGitHubCli()) {
+      return await manager.storeWithGhCli(files, options);
+    }
+    throw new McpError('AUTH_REQUIRED', 'Either GITHUB_TOKEN environment variable or authenticated GitHub CLI is required');
+  }
+});
+
+registerStorageProvider({
+  name: 'folder',
+  store: async (files, options) => {
+    if (!options.folder) {
+      throw new McpError('INVALID_ARGUMENT', '--folder is required for folder storage');
+    }
+    assertSinglePath(files, options);
+
+    const filePaths = [];
+    for (const file of files) {
+      const filePath = path.resolve(options.folder, options.path || file.fileName);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, file.content, 'utf8');
+      filePaths.push(filePath);
+    }
+
+    const uri = pathToFileURL(filePaths.length === 1 ? filePaths[0] : path.resolve(options.folder)).href;
+    return {
+      id: uri,
+      url: uri,
+      viewCommand: filePaths.map(filePath => `cat "${filePath}"`).join(' && '),
+      fileName: path.basename(filePaths[0]),
+      fileNames: filePaths.map(filePath => path.basename(filePath))
+    };
+  }
+});
+
+registerStorageProvider({
+  name: 'git',
+  store: async (files, options) => {
+    if (!options.repo) {
+      throw new McpError('INVALID_ARGUMENT', '--repo is required for git storage');
+    }
+    assertSinglePath(files, options);
+
+    const branch = options.branch || 'main';
+    const locations = files.map(file => ({ repo: options.repo, branch, path: options.path || file.fileName }));
+    const filePaths = locations.map(location => location.path);
+
+    return await withClone(locations[0], async (workDir) => {
+      for (const [index, file] of files.entries()) {
+        const filePath = resolveRepoPath(workDir, filePaths[index]);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, file.content, 'utf8');
+      }
+
+      await git(['add', '--', ...filePaths], workDir);
+      const status = await git(['status', '--porcelain', '--', ...filePaths], workDir);
+      if (status) {
+        await git(['commit', '--quiet', '-m', `Update ${filePaths.join(', ')} via portable-mcp`], workDir);
+        await git(['push', '--quiet', 'origin', `HEAD:${branch}`], workDir);
+      }
+
+      const revision = await git(['rev-parse', 'HEAD'], workDir);
+      const uris = locations.map(formatGitUri);
+      return {
+        id: uris.length === 1 ? uris[0] : options.repo,
+        url: options.repo,
+        viewCommand: uris.map(uri => `portable-mcp validate --json-url "${uri}"`).join(' && '),
+        fileName: path.basename(filePaths[0]),
+        fileNames: filePaths.map(filePath => path.basename(filePath)),
+        revision
+      };
+    });
+  }
+});
+
+registerStorageProvider({
+  name: 'http',
+  store: async (files, options) => {
+    if (!options.url) {
+      throw new McpError('INVALID_ARGUMENT', '--url is required for http storage');
+    }
+    if (files.length !== 1) {
+      throw new McpError('INVALID_ARGUMENT', 'http storage uploads a single file; store one --type at a time');
+    }
+    const [file] = files;
+
+    const method = (options.method || 'PUT').toUpperCase();
+    if (method !== 'PUT' && method !== 'POST') {
+      throw new McpError('INVALID_ARGUMENT', `Invalid method: ${options.method}. Use PUT or POST`);
+    }
+
+    const response = await fetch(options.url, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...buildRequestHeaders(options) },
+      body: file.content
+    });
+
+    if (!response.ok) {
+      throw new McpError('REMOTE_ERROR', `Upload failed: ${response.status} ${response.statusText}`);
+    }
+
+    let body = {};
+    try {
+      body = JSON.parse(await response.text());
+    } catch {
+      // Endpoints are not required to answer with JSON
+    }
+
+    const url = body.url || response.headers.get('location') || options.url;
+    return {
+      id: body.id || url,
+      url,
+      viewCommand: `curl -s "${url}"`,
+      fileName: file.fileName
+    };
+  }
+});
+
+registerSourceProvider({
+  name: 'git',
+  canHandle: (options) => typeof options.jsonUrl === 'string' && options.jsonUrl.startsWith('git+'),
+  load: async (options) => {
+    const location = parseGitUri(options.jsonUrl);
+
+    return await withClone(location, async (workDir) => {
+      const content = await fs.readFile(resolveRepoPath(workDir, location.path), 'utf8');
+      try {
+        return JSON.parse(content);
+      } catch (error) {
+        throw new McpError('INVALID_CONFIG', `Invalid JSON in ${options.jsonUrl}: ${error.message}`);
+      }
+    });
+  }
+});
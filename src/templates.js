@@ -0,0 +1,128 @@
+import os from 'os';
+import path from 'path';
+import { applyOverride } from './layers.js';
+import { McpError } from './errors.js';
+
+export const TEMPLATE_VARIABLES = ['HOME', 'USER', 'PLATFORM', 'workspaceFolder'];
+
+const TEMPLATE_PATTERN = /\$\{(env:)?([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+function getUserName(env) {
+  try {
+    return os.userInfo().username;
+  } catch {
+    return env.USER || env.USERNAME || '';
+  }
+}
+
+export function getTemplateValues({ platform = os.platform(), home = os.homedir(), workspace = process.cwd(), env = process.env } = {}) {
+  return {
+    HOME: home,
+    USER: getUserName(env),
+    PLATFORM: platform,
+    workspaceFolder: workspace
+  };
+}
+
+export function isTemplateVariable(name) {
+  return TEMPLATE_VARIABLES.includes(name);
+}
+
+export function expandTemplate(value, values, { env = process.env, keep = [], onMissingEnv } = {}) {
+  return value.replace(TEMPLATE_PATTERN, (placeholder, envPrefix, name) => {
+    if (envPrefix) {
+      if (keep.includes('env')) return placeholder;
+      if (env[name] === undefined) {
+        if (onMissingEnv) {
+          onMissingEnv(name, placeholder);
+          return placeholder;
+        }
+        throw new McpError('INPUT_REQUIRED', `Environment variable ${name} is not set (used as ${placeholder})`);
+      }
+      return env[name];
+    }
+
+    if (!isTemplateVariable(name) || keep.includes(name)) {
+      return placeholder;
+    }
+    return values[name];
+  });
+}
+
+function mapStrings(value, transform) {
+  if (typeof value === 'string') {
+    return transform(value);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => mapStrings(item, transform));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, transform)]));
+  }
+
+  return value;
+}
+
+function expandValue(value, values, options) {
+  return mapStrings(value, text => expandTemplate(text, values, options));
+}
+
+export function applyPlatformOverrides(entry, platform) {
+  if (!entry || typeof entry !== 'object' || entry.platforms === undefined) {
+    return entry;
+  }
+
+  const { platforms, ...base } = entry;
+  return platforms[platform] ? applyOverride(base, platforms[platform]) : base;
+}
+
+export function renderServers(servers, values, options = {}) {
+  return Object.fromEntries(
+    Object.entries(servers).map(([name, entry]) => [
+      name,
+      expandValue(applyPlatformOverrides(entry, values.PLATFORM), values, options)
+    ])
+  );
+}
+
+export function toNativeVariables(servers, nativeVariables = []) {
+  return mapStrings(servers, text => text.replace(TEMPLATE_PATTERN, (placeholder, envPrefix, name) => {
+    if (!envPrefix && isTemplateVariable(name)) {
+      const relative = name === 'workspaceFolder' && nativeVariables.includes('var') && !nativeVariables.includes('workspaceFolder');
+      return relative ? '${workspaceFolder:-.}' : placeholder;
+    }
+    if (nativeVariables.includes('env')) return `\${env:${name}}`;
+    if (nativeVariables.includes('var')) return `\${${name}}`;
+    return placeholder;
+  }));
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function templatizeHomePaths(servers, { home = os.homedir(), platform = os.platform() } = {}) {
+  if (!home || path.parse(home).root === home) {
+    return servers;
+  }
+
+  const variants = [...new Set([home, home.replace(/\\/g, '/')])];
+  const pattern = new RegExp(`(${variants.map(escapeRegExp).join('|')})(?=$|[\\\\/:;,"'\\s])`, platform === 'win32' ? 'gi' : 'g');
+
+  const replaceHome = (value) => {
+    if (typeof value === 'string') {
+      return value.replace(pattern, () => '${HOME}');
+    }
+    if (Array.isArray(value)) {
+      return value.map(replaceHome);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, replaceHome(item)]));
+    }
+    return value;
+  };
+
+  return replaceHome(servers);
+}
@@ -0,0 +1,151 @@
+import { extractServers } from './clients.js';
+import { McpError } from './errors.js';
+
+const REMOTE_TYPES = ['sse', 'http', 'streamable-http', 'streamableHttp'];
+
+export class ValidationError extends McpError {
+  constructor(errors, source) {
+    const details = errors.map(error => `  ${error.path}: ${error.message}`).join('\n');
+    super('INVALID_CONFIG', `Invalid MCP configuration${source ? ` (${source})` : ''}:\n${details}`, errors);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+function childPath(parent, key) {
+  if (typeof key === 'number') {
+    return `${parent}[${key}]`;
+  }
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${parent}.${key}` : `${parent}[${JSON.stringify(key)}]`;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  return `a ${typeof value}`;
+}
+
+function validateStringMap(value, valuePath, errors, label) {
+  if (!isPlainObject(value)) {
+    errors.push({ path: valuePath, message: `${label} must be an object, got ${describe(value)}` });
+    return;
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    if (typeof item !== 'string') {
+      errors.push({ path: childPath(valuePath, key), message: `${label} values must be strings, got ${describe(item)}` });
+    }
+  }
+}
+
+function validateStdioEntry(entry, entryPath, errors) {
+  if (typeof entry.command !== 'string' || !entry.command.trim()) {
+    errors.push({ path: childPath(entryPath, 'command'), message: 'command must be a non-empty string' });
+  }
+
+  if (entry.args !== undefined) {
+    if (!Array.isArray(entry.args)) {
+      errors.push({ path: childPath(entryPath, 'args'), message: `args must be an array, got ${describe(entry.args)}` });
+    } else {
+      entry.args.forEach((arg, index) => {
+        if (typeof arg !== 'string') {
+          errors.push({ path: childPath(childPath(entryPath, 'args'), index), message: `args must contain strings, got ${describe(arg)}` });
+        }
+      });
+    }
+  }
+
+  if (entry.env !== undefined) {
+    validateStringMap(entry.env, childPath(entryPath, 'env'), errors, 'env');
+  }
+}
+
+function validateRemoteEntry(entry, entryPath, errors) {
+  try {
+    const { protocol } = new URL(entry.url);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      errors.push({ path: childPath(entryPath, 'url'), message: `url must use http or https, got ${protocol}` });
+    }
+  } catch {
+    errors.push({ path: childPath(entryPath, 'url'), message: `url is not a valid URL: ${JSON.stringify(entry.url)}` });
+  }
+
+  if (entry.type !== undefined && !REMOTE_TYPES.includes(entry.type)) {
+    errors.push({ path: childPath(entryPath, 'type'), message: `type must be one of ${REMOTE_TYPES.join(', ')} for URL servers` });
+  }
+
+  if (entry.headers !== undefined) {
+    validateStringMap(entry.headers, childPath(entryPath, 'headers'), errors, 'headers');
+  }
+}
+
+export function validateServerEntry(entry, entryPath) {
+  const errors = [];
+
+  if (!isPlainObject(entry)) {
+    errors.push({ path: entryPath, message: `Server entry must be an object, got ${describe(entry)}` });
+    return errors;
+  }
+
+  const hasCommand = entry.command !== undefined;
+  const hasUrl = entry.url !== undefined;
+
+  if (hasCommand && hasUrl) {
+    errors.push({ path: entryPath, message: 'Server entry cannot define both command and url' });
+  } else if (hasCommand) {
+    validateStdioEntry(entry, entryPath, errors);
+  } else if (hasUrl) {
+    validateRemoteEntry(entry, entryPath, errors);
+  } else {
+    errors.push({ path: entryPath, message: 'Server entry must define either command (stdio) or url (SSE/streamable HTTP)' });
+  }
+
+  if (entry.disabled !== undefined && typeof entry.disabled !== 'boolean') {
+    errors.push({ path: childPath(entryPath, 'disabled'), message: 'disabled must be a boolean' });
+  }
+
+  if (entry.platforms !== undefined) {
+    const platformsPath = childPath(entryPath, 'platforms');
+    if (!isPlainObject(entry.platforms)) {
+      errors.push({ path: platformsPath, message: `platforms must be an object keyed by platform (win32, darwin, linux), got ${describe(entry.platforms)}` });
+    } else {
+      for (const [platform, override] of Object.entries(entry.platforms)) {
+        if (!isPlainObject(override)) {
+          errors.push({ path: childPath(platformsPath, platform), message: `Platform override must be an object, got ${describe(override)}` });
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+export function validateConfig(document) {
+  if (!isPlainObject(document)) {
+    return { valid: false, serverCount: 0, errors: [{ path: '$', message: `Configuration must be a JSON object, got ${describe(document)}` }] };
+  }
+
+  const { rootKey, servers } = extractServers(document);
+  if (!rootKey) {
+    return { valid: false, serverCount: 0, errors: [{ path: '$.mcpServers', message: 'Configuration must contain an mcpServers object' }] };
+  }
+
+  const errors = [];
+  for (const [name, entry] of Object.entries(servers)) {
+    errors.push(...validateServerEntry(entry, childPath(childPath('$', rootKey), name)));
+  }
+
+  return { valid: errors.length === 0, serverCount: Object.keys(servers).length, errors };
+}
+
+export function assertValidConfig(document, source) {
+  const result = validateConfig(document);
+  if (!result.valid) {
+    throw new ValidationError(result.errors, source);
+  }
+  return result;
+}
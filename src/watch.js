@@ -0,0 +1,242 @@
+import fs from 'fs';
+import path from 'path';
+import { hasChanges } from './diff.js';
+import { hashServers } from './state.js';
+import { serializeError, McpError } from './errors.js';
+import { getClient } from './clients.js';
+import { parseServerList } from './servers.js';
+
+const INTERVAL_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+const MIN_INTERVAL = 5000;
+const LOCAL_DEBOUNCE = 1000;
+
+export function parseInterval(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(ms|s|m|h)?$/);
+  if (!match) {
+    throw new McpError('INVALID_ARGUMENT', `Invalid interval: ${value}. Use a number of seconds or a duration like 30s, 5m or 1h`);
+  }
+
+  const interval = Number(match[1]) * INTERVAL_UNITS[match[2] || 's'];
+  if (interval < MIN_INTERVAL) {
+    throw new McpError('INVALID_ARGUMENT', `Interval must be at least ${MIN_INTERVAL / 1000}s`);
+  }
+  return interval;
+}
+
+function formatValue(value) {
+  const text = Array.isArray(value) ? value.join(',') : String(value);
+  return /[\s"=]/.test(text) ? JSON.stringify(text) : text;
+}
+
+export function createWatchLogger({ json = false, quiet = false, stream = process.stdout } = {}) {
+  return (level, event, fields = {}) => {
+    if (quiet && level !== 'error') return;
+
+    const record = { time: new Date().toISOString(), level, event, ...fields };
+    if (json) {
+      stream.write(`${JSON.stringify(record)}\n`);
+      return;
+    }
+
+    const details = Object.entries(fields)
+      .filter(([, value]) => value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0))
+      .map(([key, value]) => `${key}=${formatValue(value)}`);
+    stream.write(`${[record.time, level.toUpperCase().padEnd(5), event, ...details].join(' ')}\n`);
+  };
+}
+
+export function createWatchReporter(log) {
+  return {
+    info: (message) => log('info', 'message', { message }),
+    warn: (message) => log('warn', 'message', { message })
+  };
+}
+
+function getWatchFile(manager, gist, type, options) {
+  const { fileName } = manager.gistIdToConfig(manager.getGistInput(options));
+  if (fileName) {
+    return fileName;
+  }
+  if (gist.files[`${type}.json`]) {
+    return `${type}.json`;
+  }
+  return manager.pickGistFile(gist).filename;
+}
+
+export function startWatch(manager, options, log = createWatchLogger()) {
+  if (!options.gist) {
+    throw new McpError('INVALID_ARGUMENT', '--gist must be provided');
+  }
+
+  const { id: gistId } = manager.gistIdToConfig(options.gist);
+  const interval = parseInterval(options.interval || '5m');
+  const targets = (parseServerList(options.type) || []).map(type => {
+    const client = getClient(type);
+    return { type: client.id, path: manager.getDefaultPath(client.id), fileName: null, localHash: null };
+  });
+  if (targets.length === 0) {
+    throw new McpError('INVALID_ARGUMENT', 'At least one --type must be provided');
+  }
+
+  let etag = null;
+  let remoteVersion = null;
+  let timer = null;
+  let stopping = false;
+  let queue = Promise.resolve();
+  const watchers = [];
+  const debounces = new Map();
+
+  const enqueue = (task) => {
+    queue = queue.then(() => (stopping ? undefined : task())).catch(error => {
+      log('error', 'error', serializeError(error));
+    });
+    return queue;
+  };
+
+  const readLocalHash = async (target) => hashServers(await manager.readLocalServers(target.path));
+
+  const refreshLocalHash = async (target) => {
+    try {
+      target.localHash = await readLocalHash(target);
+    } catch (error) {
+      target.localHash = null;
+      log('warn', 'local-unreadable', { type: target.type, path: target.path, ...serializeError(error) });
+    }
+  };
+
+  const poll = async () => {
+    const result = await manager.fetchGistIfChanged(gistId, etag);
+    etag = result.etag || etag;
+
+    const version = result.changed ? `${result.gist.updated_at}:${manager.getGistRevision(result.gist)}` : remoteVersion;
+    if (version === remoteVersion) {
+      log('info', 'remote-unchanged', { gist: gistId });
+      return;
+    }
+
+    const revision = manager.getGistRevision(result.gist);
+    log('info', 'remote-changed', { gist: gistId, revision, updatedAt: result.gist.updated_at });
+
+    for (const target of targets) {
+      try {
+        target.fileName = getWatchFile(manager, result.gist, target.type, options);
+        const targetOptions = {
+          ...options,
+          type: target.type,
+          destination: undefined,
+          gist: `${gistId}/${target.fileName}`,
+          profile: undefined,
+          revision
+        };
+
+        const plan = await manager.prepare('merge', targetOptions);
+        if (hasChanges(plan.diff)) {
+          manager.checkPreflight(plan, targetOptions);
+          await manager.applyPlan(plan, targetOptions);
+          log('info', 'applied', {
+            type: target.type,
+            path: target.path,
+            file: target.fileName,
+            added: plan.diff.added.map(item => item.name),
+            removed: plan.diff.removed.map(item => item.name),
+            changed: plan.diff.changed.map(item => item.name)
+          });
+        } else {
+          log('info', 'up-to-date', { type: target.type, path: target.path, file: target.fileName });
+        }
+      } catch (error) {
+        log('error', 'apply-failed', { type: target.type, file: target.fileName, ...serializeError(error) });
+      }
+      await refreshLocalHash(target);
+    }
+
+    remoteVersion = version;
+  };
+
+  const onLocalChange = async (target) => {
+    let localHash;
+    try {
+      localHash = await readLocalHash(target);
+    } catch (error) {
+      log('warn', 'local-unreadable', { type: target.type, path: target.path, ...serializeError(error) });
+      return;
+    }
+    if (localHash === target.localHash) {
+      return;
+    }
+
+    if (!options.push) {
+      log('info', 'local-changed', { type: target.type, path: target.path, hint: 'run with --push to upload local edits' });
+      target.localHash = localHash;
+      return;
+    }
+    if (!target.fileName) {
+      log('warn', 'push-skipped', { type: target.type, path: target.path, message: 'the remote file is not known yet' });
+      return;
+    }
+
+    const link = { gist: gistId, fileName: target.fileName };
+    const result = await manager.store({
+      ...options,
+      type: target.type,
+      source: undefined,
+      profile: undefined,
+      gist: `${gistId}/${target.fileName}`,
+      encrypt: options.encrypt || await manager.getRemoteEncryption(link)
+    });
+    target.localHash = localHash;
+    log('info', 'pushed', { type: target.type, path: target.path, file: target.fileName, revision: result.revision });
+  };
+
+  const watchLocal = (target) => {
+    const dir = path.dirname(target.path);
+    const base = path.basename(target.path);
+
+    try {
+      const watcher = fs.watch(dir, (eventType, fileName) => {
+        if (fileName && fileName.toString() !== base) return;
+
+        clearTimeout(debounces.get(target.type));
+        debounces.set(target.type, setTimeout(() => enqueue(() => onLocalChange(target)), LOCAL_DEBOUNCE));
+      });
+      watcher.on('error', error => log('warn', 'watch-error', { path: target.path, message: error.message }));
+      watchers.push(watcher);
+    } catch (error) {
+      log('warn', 'watch-unavailable', { path: target.path, message: error.message });
+    }
+  };
+
+  const schedule = () => {
+    if (stopping) return;
+    timer = setTimeout(() => enqueue(poll).then(schedule), interval);
+  };
+
+  log('info', 'started', {
+    gist: gistId,
+    types: targets.map(target => target.type),
+    intervalMs: interval,
+    push: Boolean(options.push)
+  });
+
+  const ready = enqueue(async () => {
+    for (const target of targets) {
+      await refreshLocalHash(target);
+      watchLocal(target);
+    }
+    await poll();
+  }).then(schedule);
+
+  let stopped = null;
+  const stop = (signal) => {
+    if (!stopped) {
+      stopping = true;
+      clearTimeout(timer);
+      debounces.forEach(clearTimeout);
+      watchers.forEach(watcher => watcher.close());
+      stopped = ready.then(() => queue).then(() => log('info', 'stopped', { signal }));
+    }
+    return stopped;
+  };
+
+  return { stop };
+}